@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+
+// Command-line interface for ad-hoc API calls and socket sessions, see src/cli.js
+require("../src/cli")
+  .run(process.argv.slice(2))
+  .then((code) => (process.exitCode = code));
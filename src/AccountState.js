@@ -0,0 +1,238 @@
+const EventEmitter = require("events"); // Emit account change events to the consumer
+const models = require("./models"); // Typed models for orders, positions, wallets & trades
+
+// Authenticated channel message types => [collection, action], see: https://docs.bitfinex.com/docs/ws-auth
+const messageTypes = {
+  os: ["orders", "snapshot"],
+  on: ["orders", "new"],
+  ou: ["orders", "update"],
+  oc: ["orders", "close"],
+  ps: ["positions", "snapshot"],
+  pn: ["positions", "new"],
+  pu: ["positions", "update"],
+  pc: ["positions", "close"],
+  ws: ["wallets", "snapshot"],
+  wu: ["wallets", "update"],
+  te: ["fills", "executed"],
+  tu: ["fills", "update"],
+};
+
+// Collection => model name, event name & key of the stored items
+const collections = {
+  orders: { model: "order", event: "order", key: (order) => order.id },
+  positions: {
+    model: "position",
+    event: "position",
+    key: (position) => position.symbol,
+  },
+  wallets: {
+    model: "wallet",
+    event: "wallet",
+    key: (wallet) => `${wallet.type}:${wallet.currency}`,
+  },
+};
+
+// REST endpoints used to resync each collection
+const resyncPaths = {
+  orders: "v2/auth/r/orders",
+  positions: "v2/auth/r/positions",
+  wallets: "v2/auth/r/wallets",
+};
+
+/**
+ * AccountState mirrors the account of an authenticated ManagedSocket: open orders, positions, wallets and recent fills.
+ * It consumes the authenticated channel (0) messages, and resyncs via REST whenever the connection (re)opens,
+ * so the view stays current across reconnects. Items are stored as typed models, see models.js.
+ *
+ * Events:
+ * - "order" | "position" | "wallet" (item, action) - An item has changed, action is "new", "update" or "close"
+ * - "fill" (trade, action) - A trade has been executed ("executed", te) or its fee is known ("update", tu)
+ * - "change" (collection, item, action) - Any of the above, collection is "orders", "positions", "wallets" or "fills"
+ * - "snapshot" (collection) - A collection has been replaced by a socket or REST snapshot
+ * - "resync" (state) - The REST resync has completed
+ */
+class AccountState extends EventEmitter {
+  /**
+   * Creates an account state for a managed socket
+   * @constructor
+   * @param {ManagedSocket} socket - The authenticated managed socket
+   * @param {object} options - { resync: resync via REST when the connection opens (default true), maxFills: number of fills kept (default 100) }
+   */
+  constructor(socket, options = {}) {
+    super();
+    this.socket = socket;
+    this.options = { resync: true, maxFills: 100, ...options };
+    this.orders = {}; // Order id => order
+    this.positions = {}; // Symbol => position
+    this.wallets = {}; // type:currency => wallet
+    this.fills = []; // Most recent trades, oldest first
+    this.synced = false;
+    this.resyncing = null;
+    this.buffered = null; // Messages received while a resync is in progress
+
+    socket.on("open", () => this.options.resync && this.resync());
+    socket.on("close", () => (this.synced = false));
+    socket.on("account", (type, data) => this.onAccountMessage(type, data));
+    if (socket.isOpen() && this.options.resync) this.resync();
+  }
+
+  /**
+   * Fetches open orders, positions and wallets via REST and replaces the local state,
+   * resolves with the account state once done. Socket messages received meanwhile are applied on top.
+   */
+  resync() {
+    if (this.resyncing) return this.resyncing;
+
+    this.buffered = [];
+    const helper = this.socket.helper;
+    const names = Object.keys(resyncPaths);
+    this.resyncing = Promise.all(
+      names.map((name) =>
+        helper
+          .setContext(resyncPaths[name], {}, {})
+          .then((context) => context.sendPostRequest())
+          .then((context) => context.rawResponse || context.response)
+      )
+    )
+      .then((responses) => {
+        names.forEach((name, index) => this.replace(name, responses[index]));
+        this.buffered.forEach(([type, data]) => this.apply(type, data, false));
+        this.finishResync();
+        this.synced = true;
+        this.emit("resync", this);
+        return this;
+      })
+      .catch((e) => {
+        this.finishResync();
+        throw e;
+      });
+
+    this.resyncing.catch((e) => this.socket.raise(e));
+    return this.resyncing;
+  }
+
+  /**
+   * Returns the open orders, optionally for a single symbol
+   * @param {string} symbol - Optional symbol, e.g. tBTCUSD
+   */
+  getOrders(symbol = null) {
+    return filterBySymbol(Object.values(this.orders), symbol);
+  }
+
+  /**
+   * Returns an open order by id, or undefined if not open
+   * @param {number} id - The order id
+   */
+  getOrder(id) {
+    return this.orders[id];
+  }
+
+  /**
+   * Returns the open positions, optionally for a single symbol
+   * @param {string} symbol - Optional symbol, e.g. tBTCF0:USTF0
+   */
+  getPositions(symbol = null) {
+    return filterBySymbol(Object.values(this.positions), symbol);
+  }
+
+  /**
+   * Returns the wallets, optionally of a single type
+   * @param {string} type - Optional wallet type: exchange, margin, funding
+   */
+  getWallets(type = null) {
+    return Object.values(this.wallets).filter(
+      (wallet) => !type || wallet.type === type
+    );
+  }
+
+  /**
+   * Returns a wallet, or undefined if the account has no such wallet
+   * @param {string} type - The wallet type: exchange, margin, funding
+   * @param {string} currency - The currency, e.g. USD
+   */
+  getWallet(type, currency) {
+    return this.wallets[`${type}:${currency}`];
+  }
+
+  /**
+   * Returns the most recent fills, oldest first, optionally for a single symbol
+   * @param {string} symbol - Optional symbol, e.g. tBTCUSD
+   */
+  getFills(symbol = null) {
+    return filterBySymbol(this.fills, symbol);
+  }
+
+  /**
+   * Returns a copy of the whole state: { orders, positions, wallets, fills, synced }
+   */
+  snapshot() {
+    return {
+      orders: this.getOrders().map((order) => ({ ...order })),
+      positions: this.getPositions().map((position) => ({ ...position })),
+      wallets: this.getWallets().map((wallet) => ({ ...wallet })),
+      fills: this.getFills().map((fill) => ({ ...fill })),
+      synced: this.synced,
+    };
+  }
+
+  // Private message handling
+  onAccountMessage(type, data) {
+    if (!messageTypes[type]) return;
+    if (this.buffered) this.buffered.push([type, data]);
+    this.apply(type, data, true);
+  }
+
+  apply(type, data, emit) {
+    const [name, action] = messageTypes[type];
+    if (action === "snapshot") {
+      if (emit) this.replace(name, data);
+      return;
+    }
+    if (name === "fills") return this.applyFill(data, action, emit);
+
+    const collection = collections[name];
+    const item = models.toModel(collection.model, data);
+    const key = collection.key(item);
+    if (action === "close") delete this[name][key];
+    else this[name][key] = item;
+
+    if (!emit) return;
+    this.emit(collection.event, item, action);
+    this.emit("change", name, item, action);
+  }
+
+  applyFill(data, action, emit) {
+    const trade = models.toModel("trade", data);
+    const index = this.fills.findIndex((fill) => fill.id === trade.id);
+    if (index !== -1) this.fills[index] = trade;
+    else this.fills.push(trade);
+    if (this.fills.length > this.options.maxFills)
+      this.fills.splice(0, this.fills.length - this.options.maxFills);
+
+    if (!emit) return;
+    this.emit("fill", trade, action);
+    this.emit("change", "fills", trade, action);
+  }
+
+  // Replaces a collection with a snapshot (array of rows or typed models)
+  replace(name, rows) {
+    const collection = collections[name];
+    this[name] = {};
+    (Array.isArray(rows) ? rows : []).forEach((row) => {
+      const item = models.toModel(collection.model, row);
+      this[name][collection.key(item)] = item;
+    });
+    this.emit("snapshot", name);
+  }
+
+  finishResync() {
+    this.resyncing = null;
+    this.buffered = null;
+  }
+}
+
+function filterBySymbol(items, symbol) {
+  return items.filter((item) => !symbol || item.symbol === symbol);
+}
+
+module.exports = AccountState;
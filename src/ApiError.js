@@ -0,0 +1,148 @@
+const RateLimiter = require("./RateLimiter"); // Rate limit response detection
+
+// Transport error codes treated as timeouts
+const timeoutCodes = ["ETIMEDOUT", "ESOCKETTIMEDOUT"];
+const abortCode = "ABORT_ERR"; // The request was cancelled via its AbortSignal
+
+// Platform error codes for transient errors, the platform reports most errors (e.g. 10100 apikey: invalid) as HTTP 500
+const transientCodes = [10000, 20060]; // Unknown error, maintenance
+
+/**
+ * ApiError is the error a REST request rejects with.
+ * It carries the HTTP status, the Bitfinex error code & message, and a classification used by the retry policy:
+ * - "api" - The platform rejected the request, e.g. invalid api key or insufficient balance
+ * - "nonce" - The nonce was rejected or could not be generated, the request was not processed
+ * - "rate_limit" - The platform rate limit was reached
+ * - "server" - A transient platform error, HTTP 5xx without a platform error code, or an unknown / maintenance error
+ * - "timeout" - The request timed out
+ * - "transport" - The request could not be sent or the connection failed
+ * - "aborted" - The request was cancelled via the signal option
+ * - "parse" - The request body could not be serialised, or the response body could not be parsed
+ * - "middleware" - A middleware hook threw or rejected, see Middleware.js
+ * - "validation" - An order failed validation before it was sent, see SymbolMetadata.js
+ * - "safety" - An order breached a safety limit, or the kill switch is engaged, see SafetyGuard.js
+ */
+class ApiError extends Error {
+  /**
+   * Creates an API error
+   * @constructor
+   * @param {string} message - The error message, as sent by the platform where available
+   * @param {object} details - { type, statusCode, code, path, body, errors }
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.type = details.type || "api";
+    this.statusCode = details.statusCode || null; // HTTP status code
+    this.code = details.code !== undefined ? details.code : null; // Bitfinex error code, or transport error code
+    this.path = details.path || null;
+    this.body = details.body; // The raw / parsed response body
+    this.errors = details.errors || []; // Problems found validating the request
+    this.attempts = 1;
+  }
+
+  /**
+   * Creates an error from a failed request (no response received)
+   * @param {Error} error - The transport error
+   * @param {string} path - The API path
+   */
+  static fromTransportError(error, path) {
+    const code = error.code || null;
+    return new ApiError(error.message, {
+      type:
+        code === abortCode
+          ? "aborted"
+          : timeoutCodes.includes(code)
+          ? "timeout"
+          : "transport",
+      code: code,
+      path: path,
+    });
+  }
+
+  /**
+   * Creates an error from a failure preparing or sending a request, e.g. a throwing nonce provider or a body that can't be serialised
+   * ApiErrors are returned unchanged
+   * @param {Error} error - The error thrown
+   * @param {string} type - The error type: nonce, parse or transport
+   * @param {string} path - The API path
+   */
+  static fromRequestError(error, type, path) {
+    if (error instanceof ApiError) return error;
+    return new ApiError((error && error.message) || `${error}`, {
+      type: type,
+      code: (error && error.code) || null,
+      path: path,
+    });
+  }
+
+  /**
+   * Creates an error from a middleware hook that threw or rejected
+   * @param {Error} error - The error thrown by the hook
+   * @param {string} hook - The hook name: request, response, error, socketSend or socketMessage
+   * @param {string} path - The API path
+   */
+  static fromMiddlewareError(error, hook, path) {
+    return new ApiError(
+      `Middleware ${hook} hook failed: ${(error && error.message) || error}`,
+      { type: "middleware", path: path }
+    );
+  }
+
+  /**
+   * Returns an error describing the response, or null if the response is successful
+   * V2 errors are sent as ["error", code, message], V1 errors as { message } or { error }
+   * @param {number} statusCode - The HTTP status code
+   * @param {any} body - The parsed response body
+   * @param {string} path - The API path
+   */
+  static fromResponse(statusCode, body, path) {
+    let code = null;
+    let message = null;
+
+    if (Array.isArray(body) && body[0] === "error") {
+      code = body[1];
+      message = body[2];
+    } else if (body && typeof body === "object" && !Array.isArray(body)) {
+      message = body.message || body.error || null;
+      if (message && body.code !== undefined) code = body.code;
+    }
+
+    if (!message && statusCode < 400) return null;
+    if (!message)
+      message =
+        typeof body === "string" && body ? body : `HTTP error ${statusCode}`;
+
+    return new ApiError(message, {
+      type: ApiError.classify(statusCode, body, code, message),
+      statusCode: statusCode,
+      code: code,
+      path: path,
+      body: body,
+    });
+  }
+
+  /**
+   * Creates an error for a response body that is not valid JSON
+   * @param {number} statusCode - The HTTP status code
+   * @param {string} body - The raw response body
+   * @param {string} path - The API path
+   */
+  static fromUnparsableResponse(statusCode, body, path) {
+    return new ApiError(`Unable to parse response: ${body}`, {
+      type: statusCode >= 500 ? "server" : "parse",
+      statusCode: statusCode,
+      path: path,
+      body: body,
+    });
+  }
+
+  static classify(statusCode, body, code, message) {
+    if (RateLimiter.isRateLimitResponse(statusCode, body)) return "rate_limit";
+    if (/nonce/i.test(message)) return "nonce";
+    if (code !== null) return transientCodes.includes(code) ? "server" : "api";
+    return statusCode >= 500 ? "server" : "api";
+  }
+}
+
+module.exports = ApiError;
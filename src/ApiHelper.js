@@ -1,9 +1,41 @@
 const CryptoJS = require("crypto-js"); // Cryptography methods for signing transactions with the users credentials
 const performance = require("node:perf_hooks").performance; // lib for conveniently getting timestamps to measure performance
-const request = require("request"); // Perform network requests
 const fs = require("fs"); // Read from the file system (User credentials & options)
 const proxymise = require("proxymise"); // Provides the fluent promises interface
 const WebSocket = require("ws"); // Create WebSocket connections
+const CredentialStore = require("./CredentialStore"); // Named credential profiles (file, base64 & environment)
+const ManagedSocket = require("./ManagedSocket"); // Subscriptions, heartbeats & reconnection on top of openSocket
+const models = require("./models"); // Typed response models (V1 & V2)
+const RateLimiter = require("./RateLimiter"); // Shared per-endpoint request scheduler
+const ApiError = require("./ApiError"); // Typed REST errors
+const NonceProvider = require("./NonceProvider"); // Strictly increasing nonces per API key
+const Paginator = require("./Paginator"); // Walks history endpoints page by page
+const endpoints = require("./endpoints"); // Named V2 endpoint methods
+const Recorder = require("./Recorder"); // Records REST & WebSocket traffic to file
+const Replayer = require("./Replayer"); // Replays recorded traffic instead of using the network
+const HttpTransport = require("./HttpTransport"); // Default REST transport (native http / https)
+const SymbolMetadata = require("./SymbolMetadata"); // Pair & currency configuration, order validation
+const SafetyGuard = require("./SafetyGuard"); // Trading limits & kill switch
+const Middleware = require("./Middleware"); // Request, response, error & socket frame hooks
+const CandleService = require("./CandleService"); // Historical candle downloads, file cache & resampling
+const Metrics = require("./Metrics"); // Latency, throughput, error & retry statistics
+
+const wsRateLimitBackoff = 5000; // Time in ms to wait before retrying a WebSocket connection refused due to rate limits
+const notSentCodes = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"]; // Transport errors raised before the request was sent
+const v1WritePattern =
+  /^v1\/(order\/(new|cancel|replace)|orders\/cancel|withdraw|transfer|deposit\/new|position\/(close|claim)|offer\/(new|cancel)|funding\/close)/; // V1 endpoints with side effects
+
+// Order endpoints validated when the validateOrders option is set, and checked against the safety limits, mapped to the equivalent input message type
+const orderPaths = {
+  "v2/auth/w/order/submit": "on",
+  "v2/auth/w/order/update": "ou",
+  "v2/auth/w/order/multi": "ox_multi",
+};
+
+const jsonHeaders = {
+  Accept: "application/json",
+  "Content-Type": "application/json",
+}; // Headers of requests with a JSON body
 
 const defaultRestUrl = "https://api.bitfinex.com/";
 const defaultWsUrl = "wss://api.bitfinex.com/ws/2";
@@ -22,26 +54,32 @@ class ApiHelper {
   /**
    * Creates a reusable Bitfinex API communicator instance
    * @constructor
-   * @param {string} credentialsPath - The path to the default credentials json, if no path is supplied then the root is used
-   * @param {string} defaultOptionsPath - The path to the default options json, if no path is supplied then the root is used
+   * @param {string} credentialsPath - The path to the default credentials json (single key or multi-profile, plain or base64), if no path is supplied then the root is used
    * @param {boolean} suppressWarnings - Flag to suppress warnings if credentials / defaults json files cannot be found
+   * @param {string} defaultOptionsPath - The path to the default options json, if no path is supplied then the root is used
+   * @param {string} profile - The credentials profile to use by default, if no profile is supplied then the "default" profile is used
    */
   constructor(
     credentialsPath = "credentials.json",
     suppressWarnings = false,
-    defaultOptionsPath = "defaults.json"
+    defaultOptionsPath = "defaults.json",
+    profile = null
   ) {
+    this.rateLimiter = RateLimiter.shared;
+    this.metadata = new SymbolMetadata();
+    this.safety = new SafetyGuard();
+    this.metrics = new Metrics();
+    this.middleware = new Middleware(Middleware.global);
+    this.credentialStore = new CredentialStore();
+    let credentialsError = null;
     try {
-      // Load default credentials from file
-      let credentialsFile = fs.readFileSync(credentialsPath);
-      let credentials = JSON.parse(credentialsFile);
-      this.setCredentials(credentials.key, credentials.secret);
+      // Load credential profiles from file
+      if (credentialsPath) this.credentialStore.loadFile(credentialsPath);
     } catch (e) {
-      if (!suppressWarnings)
-        console.log(
-          `\nWarning - ApiHelper: Failed to load credentials from file @ path: ${credentialsPath}.\nOnly public endpoints can be used.\n${e.message}\n`
-        );
+      credentialsError = e;
     }
+    // Credentials supplied via environment variables override those loaded from file
+    this.credentialStore.loadEnvironment();
 
     // Per-request options object - hard-coded defaults
     this.options = {
@@ -53,9 +91,36 @@ class ApiHelper {
       dms: false, // Dead-mam switch, aka cancel all active orders when connection is lost (WebSocket only)
       token: null, // Optional auth token (can be used instead of api key & secret)
       filter: null, // Optional, an array of ws message stream filters, see: https://docs.bitfinex.com/docs/ws-auth#channel-filters (WebSocket only)
-      performance: false, // appends a timestamp to the response (REST only), for measuring performance
+      performance: false, // Collect latency, throughput, error & retry statistics per endpoint & order command, see Metrics.js
       version: 0, // Optional, force API version, normally this is inferred from the API path
       optionalHeaders: {}, // Optional request headers
+      profile: null, // Optional, name of the credentials profile to use
+      autoReconnect: true, // Reconnect, re-authenticate and re-subscribe when the connection drops (Managed WebSocket only)
+      heartbeatTimeout: 20000, // Time in ms without any message before a connection is considered stale, 0 to disable (Managed WebSocket only)
+      reconnectDelay: 1000, // Initial delay in ms before reconnecting, doubled on each failed attempt (Managed WebSocket only)
+      maxReconnectDelay: 30000, // Maximum delay in ms between reconnect attempts (Managed WebSocket only)
+      commandTimeout: 10000, // Time in ms to wait for the notification confirming an order command (Managed WebSocket only)
+      typedResponses: false, // Convert known responses & socket messages to named-field objects, see models.js
+      rateLimit: true, // Queue requests & connections to stay within the platform rate limits, see RateLimiter.js
+      rateLimitBackoff: 60000, // Time in ms to pause an endpoint after a rate limit error response (REST only)
+      maxRateLimitRetries: 3, // Number of times a rate limited request is retried before failing (REST only)
+      maxRetries: 2, // Number of times a request failing with a transient error is retried (REST only)
+      retryDelay: 500, // Initial delay in ms before retrying, doubled on each retry (REST only)
+      retryOn: ["server", "timeout", "transport", "nonce"], // Error types that are retried, see ApiError.js (REST only)
+      retryWrites: false, // Also retry writes (e.g. v2/auth/w/...) that may have been processed, e.g. after a timeout (REST only)
+      nonceFile: null, // Optional, path of a file used to share nonces with other processes using the same key, see NonceProvider.js
+      nonceProvider: null, // Optional, custom nonce provider: a function (key) => nonce, or an object with a next(key) function, may return a Promise
+      timeout: 0, // Time in ms to wait for a response before failing with a timeout error, 0 to wait indefinitely (REST only)
+      signal: null, // Optional, an AbortSignal to cancel requests, cancelled requests fail with an "aborted" error (REST only)
+      agent: null, // Optional, a http(s).Agent used to send requests, e.g. a proxy agent (REST only)
+      keepAlive: false, // Reuse connections between requests, when no agent is supplied (REST only)
+      transport: null, // Optional, custom transport: a function (request) => Promise, or an object with a send(request) function, see HttpTransport.js (REST only)
+      validateOrders: false, // Round prices & amounts to the platform precision and check symbols & order sizes before orders are sent, see SymbolMetadata.js
+      metadataSnapshot: null, // Optional, path of a file the symbol metadata is saved to & loaded from, for offline use
+      metadataMaxAge: 3600000, // Time in ms before the symbol metadata is refreshed, 0 to never refresh
+      safety: null, // Optional, trading limits checked before orders are sent: { maxOrderSize, maxNotional, maxOpenOrders, maxDailyLoss, lossCurrency }, see SafetyGuard.js
+      record: null, // Optional, path of a JSONL file to append all requests, responses & socket frames to (credentials are redacted), see Recorder.js
+      replay: null, // Optional, path of a recording to answer requests & socket connections from instead of the network, see Replayer.js
     };
 
     try {
@@ -66,10 +131,27 @@ class ApiHelper {
     } catch (e) {
       // Ignore errors loading options file - we'll fall back to hardcoded defaults
     }
+
+    if (profile) this.options.profile = profile;
+    const credentials = this.credentialStore.getProfile(this.options.profile);
+    if (credentials) {
+      this.setCredentials(credentials.key, credentials.secret);
+    } else if (!suppressWarnings) {
+      const reason = credentialsError
+        ? credentialsError.message
+        : `Profile "${
+            this.options.profile || CredentialStore.defaultProfile
+          }" was not found.`;
+      console.log(
+        `\nWarning - ApiHelper: Failed to load credentials from file @ path: ${credentialsPath}.\nOnly public endpoints can be used.\n${reason}\n`
+      );
+    }
   }
 
   /**
    * Sets the context for an API request, starts a request Promise chain.
+   * Resolves with an independent request context holding its own path, body, options, credentials, nonce and response,
+   * so concurrent chains on one instance don't affect each other. Contexts inherit the options of the instance (or context) they are created from.
    * @param {string} path - The REST API path, starting with v1 or v2
    * @param {string} body - The optional request body object
    * @param {string} options - Optional per-request options object, options specified here with override any defaults loaded from defaults.json
@@ -81,104 +163,91 @@ class ApiHelper {
           "Path is not set, unable to use the API without specifying an API path."
         );
       if (!body) body = {};
-      this.options = { ...this.options, ...options };
-      this.setVerbose(this.options.verboseOutput);
-      this.setBaseUrl(this.options.baseRestUrl);
-      this.setPath(path);
-      this.setBody(body);
-      this.setCredentials(
-        this.options.key,
-        this.options.secret,
-        this.options.token
+      const context = this.createContext(options);
+      context.setVerbose(context.options.verboseOutput);
+      context.setBaseUrl(context.options.baseRestUrl);
+      context.setPath(path);
+      context.setBody(body);
+      if (!context.setProfile(context.options.profile))
+        return reject(
+          `Credentials profile "${context.options.profile}" was not found.`
+        );
+      context.setCredentials(
+        context.options.key,
+        context.options.secret,
+        context.options.token
       );
 
-      return resolve(this);
+      return resolve(context);
     });
   }
 
   /**
    * Creates an initialized and authenticated WebSocket instance
+   * Order input messages sent on the socket are checked against the safety limits & kill switch, see SafetyGuard
    * @param {object} options - Optional per-request options object, options specified here with override any defaults loaded from defaults.json
    * @param {number} delayResponse - Time in ms to wait before returning an initialized socket (authenticated ops require ~250ms init time)
    * @param {number} nonce - Override the auto-generated nonce used for this request
    */
   openSocket(options = this.options, delayResponse = 0, nonce = null) {
-    this.options = { ...this.options, ...options };
-    this.setCredentials(options.key, options.secret);
-    this.setNonce(nonce);
-    return new Promise((resolve, reject) => {
-      if (!this.key || !this.secret)
-        return reject(
-          "Unable to create WebSocket connection; credentials were not supplied."
-        );
-
-      let socket = new WebSocket(this.options.baseWsUrl);
-
-      const authenticationPayload = this.getWebSocketSignature();
-
-      socket.onopen = () => {
-        if (this.options.verboseOutput)
-          console.log(JSON.stringify(authenticationPayload, null, 2));
-        socket.send(JSON.stringify(authenticationPayload));
-      };
+    const context = this.createContext(options);
+    return context
+      .openAuthenticatedSocket(delayResponse, nonce)
+      .then((socket) => {
+        context.safety.guard(socket, context);
+        return socket;
+      });
+  }
 
-      socket.onmessage = (msg) => {
-        let response = JSON.parse(msg.data);
-        if (response.event == "auth") {
-          if (this.options.verboseOutput)
-            console.log(JSON.stringify(response, null, 2));
-          socket.onmessage = undefined;
-          if (response.status == "OK") {
-            setTimeout(() => {
-              this.ws = socket;
-              return resolve(socket);
-            }, delayResponse);
-          } else if (
-            response.status == "FAILED" &&
-            response.msg == "rate: limit"
-          ) {
-            console.log(
-              "Socket connection refused: Rate limit reached - retrying in 5 seconds"
-            );
-            setTimeout(() => openSocket(callback, shouldDelayCallback), 5000);
-          } else {
-            return reject(
-              `Socket authentication failed: ${JSON.stringify(
-                response,
-                null,
-                2
-              )}`
-            );
-          }
-        }
-      };
-    });
+  /**
+   * Creates a managed WebSocket, resolves once connected (and authenticated, if credentials are available)
+   * The managed socket handles channel subscriptions, heartbeats and reconnection, see ManagedSocket
+   * @param {object} options - Optional per-connection options object, options specified here with override any defaults loaded from defaults.json
+   */
+  openManagedSocket(options = this.options) {
+    const context = this.createContext(options);
+    context.setProfile(context.options.profile);
+    context.setCredentials(context.options.key, context.options.secret);
+    return new ManagedSocket(context, context.options).connect();
   }
 
   /**
-   * Executes the context as a HTTP POST request
+   * Executes the context as a HTTP POST request, rejects with an ApiError if the request fails or the API returns an error
    * @param {boolean} authenticatedRequest - Determines if the HTTP header should include a signature to authenticate the request
    * @param {number} nonce - Override the auto-generated nonce used for this request
    */
   sendPostRequest(authenticatedRequest = true, nonce = null) {
     return new Promise((resolve, reject) => {
-      this.setNonce(nonce);
-      this.sendRequest(true, authenticatedRequest, () =>
-        this.error ? reject(this) : resolve(this)
-      );
+      this.prepareOrders()
+        .then(() => this.checkSafety())
+        .then(
+          (release) =>
+            this.sendRequest(
+              true,
+              authenticatedRequest,
+              () => {
+                release();
+                this.error ? reject(this.error) : resolve(this);
+              },
+              nonce
+            ),
+          reject
+        );
     });
   }
 
   /**
-   * Executes the context as a HTTP GET request
+   * Executes the context as a HTTP GET request, rejects with an ApiError if the request fails or the API returns an error
    * @param {boolean} authenticatedRequest - Determines if the HTTP header should include a signature to authenticate the request
    * @param {number} nonce - Override the auto-generated nonce for this request
    */
   sendGetRequest(authenticatedRequest = false, nonce = null) {
     return new Promise((resolve, reject) => {
-      this.setNonce(nonce);
-      this.sendRequest(false, authenticatedRequest, () =>
-        this.error ? reject(this) : resolve(this)
+      this.sendRequest(
+        false,
+        authenticatedRequest,
+        () => (this.error ? reject(this.error) : resolve(this)),
+        nonce
       );
     });
   }
@@ -207,6 +276,152 @@ class ApiHelper {
     });
   }
 
+  /**
+   * Walks a history endpoint page by page over a time range, returns an async iterator of rows:
+   * for await (const trade of helper.paginate("v2/auth/r/trades/hist", { start, end })) { ... }
+   * @param {string} path - The history path, e.g. v2/auth/r/trades/hist or v2/candles/trade:1m:tBTCUSD/hist
+   * @param {object} params - { start, end, limit, sort, body, timestampIndex, maxPages }, see Paginator
+   */
+  paginate(path, params = {}) {
+    return new Paginator(this, path, params);
+  }
+
+  /**
+   * Walks a history endpoint page by page over a time range, resolves with all rows as a single array
+   * @param {string} path - The history path
+   * @param {object} params - { start, end, limit, sort, body, timestampIndex, maxPages }, see Paginator
+   */
+  collectPages(path, params = {}) {
+    return new Paginator(this, path, params).collect();
+  }
+
+  /**
+   * Resolves with a candle service, which downloads historical candles into a local file cache and resamples them, see CandleService
+   * const candles = await helper.getCandleService()
+   * const oneMinute = await candles.load("tBTCUSD", "1m", Date.UTC(2024, 0, 1), Date.UTC(2024, 1, 1))
+   * @param {object} params - { cacheDir: directory of the cache files (default "candles"), format: "json" or "csv", chunkSize: candles per chunk (max 10000) }
+   */
+  getCandleService(params = {}) {
+    return Promise.resolve(new CandleService(this, params));
+  }
+
+  /**
+   * Resolves with the symbol metadata (pairs, currencies, order sizes), fetched on first use and refreshed once older than metadataMaxAge
+   * The metadata offers getPair, roundPrice, roundAmount, validateOrder and normaliseOrder, see SymbolMetadata
+   */
+  getMetadata() {
+    return this.metadata.load(this, {
+      snapshot: this.options.metadataSnapshot,
+      maxAge: this.options.metadataMaxAge,
+    });
+  }
+
+  /**
+   * Fetches the symbol metadata now, saving it to the metadataSnapshot file if set
+   */
+  refreshMetadata() {
+    return this.metadata
+      .refresh(this, this.options.metadataSnapshot)
+      .then(() => this);
+  }
+
+  /**
+   * Engages the kill switch: cancels all orders via REST and on the open sockets of this instance,
+   * and rejects every further write other than cancellations until resetKillSwitch() is called.
+   * Resolves with the reason and the outcome of the cancellations: { reason, rest: { status, text }, sockets: [{ status, text }, ...] }
+   * @param {string} reason - Optional reason, included in the rejection of blocked requests
+   */
+  killSwitch(reason = "manual") {
+    return this.safety.kill(this, reason);
+  }
+
+  /**
+   * Releases the kill switch, writes are allowed again
+   */
+  resetKillSwitch() {
+    return new Promise((resolve, reject) => {
+      this.safety.reset();
+      return resolve(this);
+    });
+  }
+
+  /**
+   * Registers a middleware on this instance (or context), its hooks apply to the requests & sockets of this instance
+   * and of the contexts created from it. Use Middleware.global to register a middleware for all instances, see Middleware
+   * @param {object} middleware - An object with request, response, error, socketSend and / or socketMessage hooks
+   * @param {object} params - { priority: hooks run in ascending priority, default 0 }
+   */
+  use(middleware, params = {}) {
+    return new Promise((resolve, reject) => {
+      this.middleware.use(middleware, params);
+      return resolve(this);
+    });
+  }
+
+  /**
+   * Removes a middleware registered on this instance (or context) with use()
+   * @param {object} middleware - The middleware object
+   */
+  removeMiddleware(middleware) {
+    return new Promise((resolve, reject) => {
+      this.middleware.remove(middleware);
+      return resolve(this);
+    });
+  }
+
+  /**
+   * Resolves with the statistics collected when the performance option is set, per endpoint & order command type:
+   * { since, time, requests: { path: { count, errors, errorRate, errorTypes, retries, perMinute, latency: { min, max, mean, p50, p95, p99 } } }, commands: { type: { ... } } }
+   */
+  getMetrics() {
+    return new Promise((resolve, reject) => {
+      return resolve(this.metrics.getSnapshot());
+    });
+  }
+
+  /**
+   * Resolves with the statistics in the Prometheus text format, e.g. to serve from a /metrics endpoint
+   */
+  getPrometheusMetrics() {
+    return new Promise((resolve, reject) => {
+      return resolve(this.metrics.toPrometheus());
+    });
+  }
+
+  /**
+   * Appends a JSON snapshot of the statistics to a file (one per line), or passes it to a function, at a fixed interval
+   * @param {string|function} target - The JSONL file path, or a function (snapshot) => void
+   * @param {number} intervalInMs - Time in ms between snapshots
+   */
+  startMetricsSnapshots(target, intervalInMs = 60000) {
+    return new Promise((resolve, reject) => {
+      this.metrics.startSnapshots(target, intervalInMs);
+      return resolve(this);
+    });
+  }
+
+  /**
+   * Stops the periodic snapshots, and discards the statistics collected so far if reset is set
+   * @param {boolean} reset - Discard the statistics
+   */
+  stopMetricsSnapshots(reset = false) {
+    return new Promise((resolve, reject) => {
+      this.metrics.stopSnapshots();
+      if (reset) this.metrics.reset();
+      return resolve(this);
+    });
+  }
+
+  /**
+   * Resolves with the state of the shared request scheduler: total queue depth, and per endpoint the number of
+   * requests sent within the last minute, queued requests and the time in ms until the next request can be sent
+   */
+  getRateLimitStats() {
+    return new Promise((resolve, reject) => {
+      return resolve(this.rateLimiter.getStats());
+    });
+  }
+
   /**
    * Causes execution to wait for the specified time in ms, used to pace requests
    * @param {number} durationInMs - The length of time to throttle / pause / wait
@@ -217,6 +432,53 @@ class ApiHelper {
     });
   }
 
+  // Normalises & validates order bodies when the validateOrders option is set
+  prepareOrders() {
+    const type = orderPaths[this.path];
+    if (!this.options.validateOrders || !type) return Promise.resolve();
+    return this.getMetadata().then((metadata) =>
+      this.setBody(
+        type === "ox_multi"
+          ? {
+              ...this.body,
+              ops: metadata.prepareOrders(type, this.body.ops || []),
+            }
+          : metadata.prepareOrders(type, this.body)
+      )
+    );
+  }
+
+  // Rejects writes while the kill switch is engaged, checks orders against the safety limits
+  // Resolves with a function releasing the orders once the request has completed, see SafetyGuard
+  checkSafety() {
+    const type = orderPaths[this.path];
+    if (!type)
+      return !this.isIdempotent() && this.safety.blocks(this.path)
+        ? Promise.reject(this.safety.getKillError())
+        : Promise.resolve(() => {});
+    return this.safety.check(
+      this,
+      type,
+      type === "ox_multi" ? this.body.ops : this.body,
+      this.options.safety
+    );
+  }
+
+  // Private context creation
+  // A context inherits everything from this instance (credentials, options, rate limiter ...) via its prototype,
+  // state set on the context (path, body, options, credentials, nonce, response) is its own
+  createContext(options = {}) {
+    const context = Object.create(this);
+    context.options = { ...this.options, ...options };
+    context.nonce = null;
+    context.statusCode = null;
+    context.response = null;
+    context.rawResponse = null;
+    context.error = null;
+    context.middleware = new Middleware(this.middleware);
+    return context;
+  }
+
   // Private Setters
   setCredentials(key = null, secret = null, token = null) {
     if (token) {
@@ -227,6 +489,14 @@ class ApiHelper {
     }
   }
 
+  setProfile(profile) {
+    if (!profile) return true;
+    const credentials = this.credentialStore.getProfile(profile);
+    if (!credentials) return false;
+    this.setCredentials(credentials.key, credentials.secret);
+    return true;
+  }
+
   setBaseUrl(baseUrl) {
     this.baseUrl = baseUrl;
   }
@@ -239,8 +509,9 @@ class ApiHelper {
     this.body = body;
   }
 
+  // A supplied nonce overrides the nonce provider, otherwise a nonce is generated before the request is sent, see loadNonce
   setNonce(nonce) {
-    this.nonce = nonce ? nonce : (Date.now() * 1000).toString();
+    this.nonce = nonce ? nonce.toString() : null;
   }
 
   setPath(path) {
@@ -276,6 +547,36 @@ class ApiHelper {
     return this.baseUrl ? this.baseUrl : defaultRestUrl;
   }
 
+  getNonce() {
+    return this.nonce;
+  }
+
+  // Resolves once the nonce is set, generating one unless supplied, providers may return the nonce or a Promise
+  loadNonce() {
+    return Promise.resolve()
+      .then(() => {
+        if (this.nonce) return this.nonce;
+        const provider = this.getNonceProvider();
+        const key = this.key || this.token;
+        return typeof provider === "function"
+          ? provider(key)
+          : provider.next(key);
+      })
+      .then((nonce) => (this.nonce = nonce.toString()));
+  }
+
+  // V1 authenticated requests always carry a nonce, V2 requests only when signed with a key
+  usesNonce(authenticatedRequest) {
+    return authenticatedRequest && (this.version === 1 || !this.token);
+  }
+
+  getNonceProvider() {
+    if (this.options.nonceProvider) return this.options.nonceProvider;
+    if (this.options.nonceFile)
+      return NonceProvider.forFile(this.options.nonceFile);
+    return NonceProvider.shared;
+  }
+
   // Private V1 request composition functions
   getHeaderV1() {
     const headers = {};
@@ -309,7 +610,7 @@ class ApiHelper {
         headers: this.mergeOptionalHeaders({}),
       };
     } else {
-      this.body.nonce = this.nonce;
+      this.body.nonce = this.getNonce();
       const payload = {
         url: url,
         headers: this.getHeaderV1(),
@@ -317,10 +618,7 @@ class ApiHelper {
       };
 
       // if using token, switch to json payload
-      if (this.token) {
-        payload.body = this.body;
-        payload.json = true;
-      }
+      if (this.token) payload.headers = { ...jsonHeaders, ...payload.headers };
       return payload;
     }
   }
@@ -331,7 +629,7 @@ class ApiHelper {
     if (this.token) {
       headers["bfx-token"] = this.token;
     } else {
-      headers["bfx-nonce"] = this.nonce;
+      headers["bfx-nonce"] = this.getNonce();
       headers["bfx-apikey"] = this.key;
       headers["bfx-signature"] = this.getSignatureV2();
     }
@@ -344,7 +642,7 @@ class ApiHelper {
   }
 
   getSignatureV2() {
-    let signature = `/api/${this.path}${this.nonce}${JSON.stringify(
+    let signature = `/api/${this.path}${this.getNonce()}${JSON.stringify(
       this.body
     )}`;
     return CryptoJS.HmacSHA384(signature, this.secret).toString();
@@ -357,16 +655,14 @@ class ApiHelper {
     if (!authenticatedRequest) {
       return {
         url: url,
-        body: this.body,
-        headers: this.mergeOptionalHeaders({}),
-        json: true,
+        body: JSON.stringify(this.body),
+        headers: { ...jsonHeaders, ...this.mergeOptionalHeaders({}) },
       };
     } else {
       return {
         url: url,
-        headers: this.getHeaderV2(),
-        body: this.body,
-        json: true,
+        headers: { ...jsonHeaders, ...this.getHeaderV2() },
+        body: JSON.stringify(this.body),
       };
     }
   }
@@ -377,14 +673,14 @@ class ApiHelper {
     if (this.options.token) {
       payload.token = this.options.token;
     } else {
-      const authPayload = "AUTH" + this.nonce;
-      const authSig = CryptoJS.HmacSHA384(
-        "AUTH" + this.nonce,
-        this.secret
-      ).toString(CryptoJS.enc.Hex);
+      const nonce = this.getNonce();
+      const authPayload = "AUTH" + nonce;
+      const authSig = CryptoJS.HmacSHA384("AUTH" + nonce, this.secret).toString(
+        CryptoJS.enc.Hex
+      );
       payload.apiKey = this.key;
       payload.authSig = authSig;
-      payload.authNonce = this.nonce;
+      payload.authNonce = nonce;
       payload.authPayload = authPayload;
     }
 
@@ -394,8 +690,131 @@ class ApiHelper {
     return payload;
   }
 
-  // Private REST transmission function
-  sendRequest(isPost, authenticatedRequest, callback) {
+  // Private WebSocket connection functions
+  // Opens an authenticated socket with the options of this context, managed sockets check their order commands themselves
+  openAuthenticatedSocket(delayResponse = 0, nonce = null) {
+    const profileFound = this.setProfile(this.options.profile);
+    this.setCredentials(this.options.key, this.options.secret);
+    return new Promise((resolve, reject) => {
+      if (!profileFound)
+        return reject(
+          `Credentials profile "${this.options.profile}" was not found.`
+        );
+      if (!this.key || !this.secret)
+        return reject(
+          "Unable to create WebSocket connection; credentials were not supplied."
+        );
+
+      this.scheduleConnection(() =>
+        this.connectSocket(delayResponse, nonce)
+      ).then(resolve, reject);
+    });
+  }
+
+  scheduleConnection(connect) {
+    if (!this.options.rateLimit) return connect();
+    return this.rateLimiter.schedule(
+      this.rateLimiter.getWsBucketName(),
+      connect
+    );
+  }
+
+  // Creates a WebSocket, recorded or replayed as per the record / replay options
+  // Frames pass through the socket middleware hooks, recordings hold the frames as they go over the network
+  createSocket(url) {
+    const attach = (socket) => this.middleware.attachSocket(socket, this);
+    if (this.options.replay) {
+      const socket = Replayer.forFile(this.options.replay).createSocket(url);
+      attach(socket);
+      return socket;
+    }
+    const socket = new WebSocket(url);
+    if (this.options.record)
+      Recorder.forFile(this.options.record).recordSocket(socket, url, attach);
+    else attach(socket);
+    return socket;
+  }
+
+  connectSocket(delayResponse, nonce) {
+    this.setNonce(nonce);
+    return (this.options.token ? Promise.resolve() : this.loadNonce()).then(
+      () => this.authenticateSocket(delayResponse, nonce)
+    );
+  }
+
+  authenticateSocket(delayResponse, nonce) {
+    return new Promise((resolve, reject) => {
+      let socket = this.createSocket(this.options.baseWsUrl);
+
+      const authenticationPayload = this.getWebSocketSignature();
+
+      socket.onopen = () => {
+        if (this.options.verboseOutput)
+          console.log(JSON.stringify(authenticationPayload, null, 2));
+        socket.send(JSON.stringify(authenticationPayload));
+      };
+
+      socket.onerror = (e) =>
+        reject(`Unable to create WebSocket connection: ${e.message}`);
+
+      socket.onclose = () =>
+        reject("WebSocket connection closed before authenticating.");
+
+      socket.onmessage = (msg) => {
+        let response = JSON.parse(msg.data);
+        if (response.event == "auth") {
+          if (this.options.verboseOutput)
+            console.log(JSON.stringify(response, null, 2));
+          socket.onmessage = undefined;
+          if (response.status == "OK") {
+            setTimeout(() => {
+              this.ws = socket;
+              return resolve(socket);
+            }, delayResponse);
+          } else if (
+            response.status == "FAILED" &&
+            response.msg == "rate: limit"
+          ) {
+            console.log(
+              `Socket connection refused: Rate limit reached - retrying in ${
+                wsRateLimitBackoff / 1000
+              } seconds`
+            );
+            socket.onclose = undefined;
+            socket.close();
+            this.rateLimiter.backoff(
+              this.rateLimiter.getWsBucketName(),
+              wsRateLimitBackoff
+            );
+            // A new nonce is generated for the retry, unless one was supplied
+            return resolve(
+              this.rateLimiter.schedule(
+                this.rateLimiter.getWsBucketName(),
+                () => this.connectSocket(delayResponse, nonce)
+              )
+            );
+          } else {
+            return reject(
+              `Socket authentication failed: ${JSON.stringify(
+                response,
+                null,
+                2
+              )}`
+            );
+          }
+        }
+      };
+    });
+  }
+
+  // Private REST transmission functions
+  sendRequest(
+    isPost,
+    authenticatedRequest,
+    callback,
+    nonce = null,
+    attempts = { rateLimit: 0, retry: 0 }
+  ) {
     if (authenticatedRequest) {
       if (!this.token) {
         if (!this.key || !this.secret) {
@@ -411,7 +830,130 @@ class ApiHelper {
       }
     }
 
-    let executeRequest = isPost ? request.post : request.get;
+    const bucket = this.rateLimiter.getBucketName(this.path);
+    const execute = () =>
+      this.executeRequest(isPost, authenticatedRequest, nonce);
+    const scheduled = this.options.rateLimit
+      ? this.rateLimiter.schedule(bucket, execute)
+      : execute();
+
+    scheduled
+      .catch((error) => {
+        this.error = ApiError.fromRequestError(error, "transport", this.path);
+      })
+      .then(() => {
+        const complete = () => {
+          this.measureRequest(attempts);
+          if (!this.error) return callback();
+          this.middleware.run("error", this.error, this).then(
+            (error) => {
+              this.error = error;
+              callback();
+            },
+            (error) => {
+              this.error = ApiError.fromMiddlewareError(
+                error,
+                "error",
+                this.path
+              );
+              callback();
+            }
+          );
+        };
+        const retry = (delay) =>
+          setTimeout(
+            () =>
+              this.sendRequest(
+                isPost,
+                authenticatedRequest,
+                callback,
+                nonce,
+                attempts
+              ),
+            delay
+          );
+
+        if (!this.error) return complete();
+        this.error.attempts = attempts.rateLimit + attempts.retry + 1;
+
+        if (this.error.type === "rate_limit") {
+          if (attempts.rateLimit >= this.options.maxRateLimitRetries)
+            return complete();
+          attempts.rateLimit++;
+          console.log(
+            `Warning - Rate limit reached for ${this.path} - retrying in ${
+              this.options.rateLimitBackoff / 1000
+            } seconds`
+          );
+          this.rateLimiter.backoff(bucket, this.options.rateLimitBackoff);
+          return retry(0);
+        }
+
+        if (!this.shouldRetry(this.error, isPost, nonce, attempts.retry))
+          return complete();
+        const delay = this.options.retryDelay * Math.pow(2, attempts.retry);
+        attempts.retry++;
+        if (this.isVerbose)
+          console.log(
+            `Verbose - Retrying request (${this.error.type}: ${this.error.message}) in ${delay}ms`
+          );
+        retry(delay);
+      });
+  }
+
+  // Records the completed request when the performance option is set, see Metrics
+  measureRequest(attempts) {
+    if (!this.options.performance) return;
+    this.metrics.recordRequest(
+      this.path,
+      this.endTime - this.startTime,
+      this.error,
+      attempts.rateLimit + attempts.retry
+    );
+  }
+
+  // Sends the request, sets this.response and this.error (an ApiError, or null if successful), never rejects
+  // Failures to generate the nonce, serialise the body or send the request are converted to an ApiError
+  executeRequest(isPost, authenticatedRequest, nonce) {
+    // The nonce is generated when the request is sent, so queued requests keep their nonces in order
+    this.setNonce(nonce);
+    this.error = null;
+    this.response = null;
+    this.startTime = this.endTime = performance.now();
+
+    return Promise.resolve()
+      .then(() => this.usesNonce(authenticatedRequest) && this.loadNonce())
+      .catch((error) => {
+        throw ApiError.fromRequestError(error, "nonce", this.path);
+      })
+      .then(() => this.getTransportRequest(isPost, authenticatedRequest))
+      .catch((error) => {
+        throw ApiError.fromRequestError(error, "parse", this.path);
+      })
+      .then((transportRequest) =>
+        this.middleware
+          .run("request", transportRequest, this)
+          .catch((error) => {
+            throw ApiError.fromMiddlewareError(error, "request", this.path);
+          })
+      )
+      .then((request) => this.transmit(request))
+      .then(() => {
+        if (this.error) return;
+        return this.middleware
+          .run("response", this.response, this)
+          .then((response) => (this.response = response))
+          .catch((error) => {
+            throw ApiError.fromMiddlewareError(error, "response", this.path);
+          });
+      })
+      .catch((error) => {
+        this.error = ApiError.fromRequestError(error, "transport", this.path);
+      });
+  }
+
+  // Builds the request passed to the middleware & transport: { method, path, url, headers, body, timeout, signal, agent, keepAlive }
+  getTransportRequest(isPost, authenticatedRequest) {
     let requestPayload =
       this.version === 1
         ? this.getRequestPayloadV1(authenticatedRequest)
@@ -422,24 +964,130 @@ class ApiHelper {
         `Verbose - Request Payload: ${JSON.stringify(requestPayload)}`
       );
 
-    this.error = null;
-    this.response = null;
+    return {
+      method: isPost ? "POST" : "GET",
+      path: this.path,
+      ...requestPayload,
+      timeout: this.options.timeout,
+      signal: this.options.signal,
+      agent: this.options.agent,
+      keepAlive: this.options.keepAlive,
+    };
+  }
 
+  // Sends the request via the transport, sets this.response and this.error
+  transmit(request) {
+    const transport = this.getTransport();
     this.startTime = performance.now();
-    executeRequest(requestPayload, (error, response, body) => {
-      this.endTime = performance.now();
-      this.error = error;
-      this.response =
-        this.version === 1 && !this.token ? JSON.parse(body) : body;
-
-      if (this.isVerbose)
-        console.log(
-          `Verbose - Response Body: ${JSON.stringify(this.response)}`
+    return Promise.resolve()
+      .then(() =>
+        typeof transport === "function"
+          ? transport(request)
+          : transport.send(request)
+      )
+      .then(
+        (response) => {
+          this.endTime = performance.now();
+          this.record(request, response || null, null);
+          if (!response || response.statusCode === undefined)
+            throw new Error("The transport resolved without a response.");
+          this.setResponse(response.statusCode, response.body);
+        },
+        (error) => {
+          this.endTime = performance.now();
+          this.record(request, null, error);
+          this.error = ApiError.fromTransportError(error, this.path);
+        }
+      );
+  }
+
+  // Parses the raw response body, sets this.response and this.error
+  setResponse(statusCode, body) {
+    this.statusCode = statusCode;
+    try {
+      this.response = JSON.parse(body);
+    } catch (e) {
+      if (this.version === 1 && !this.token) {
+        this.error = ApiError.fromUnparsableResponse(
+          statusCode,
+          body,
+          this.path
         );
-      callback();
+        return;
+      }
+      // V2 & token responses that aren't JSON are kept as text, e.g. a HTML error page
+      this.response = body;
+    }
+
+    if (this.isVerbose)
+      console.log(`Verbose - Response Body: ${JSON.stringify(this.response)}`);
+
+    this.error = ApiError.fromResponse(statusCode, this.response, this.path);
+    if (!this.error && this.options.typedResponses) {
+      this.rawResponse = this.response;
+      this.response = models.fromResponse(
+        this.version,
+        this.path,
+        this.response
+      );
+    }
+  }
+
+  getTransport() {
+    if (this.options.replay) return Replayer.forFile(this.options.replay);
+    if (this.options.transport) return this.options.transport;
+    return HttpTransport.shared;
+  }
+
+  record(transportRequest, response, error) {
+    if (!this.options.record) return;
+    Recorder.forFile(this.options.record).recordRequest({
+      method: transportRequest.method,
+      path: this.path,
+      pathArgs: this.pathArgs,
+      url: transportRequest.url,
+      request: {
+        headers: transportRequest.headers,
+        body: transportRequest.body,
+      },
+      response: response
+        ? { statusCode: response.statusCode, body: response.body }
+        : null,
+      error: error ? { message: error.message, code: error.code } : null,
+      startTime: this.startTime,
+      endTime: this.endTime,
     });
   }
+
+  // Retry policy: transient errors are retried, writes are only retried when the request can't have been processed
+  shouldRetry(error, isPost, nonce, retries) {
+    if (retries >= this.options.maxRetries) return false;
+    if (!this.options.retryOn.includes(error.type)) return false;
+    // A supplied nonce would be rejected again
+    if (error.type === "nonce") return !nonce;
+    if (!isPost || this.isIdempotent()) return true;
+    return (
+      this.options.retryWrites ||
+      (error.type === "transport" && notSentCodes.includes(error.code))
+    );
+  }
+
+  // Reads (GET requests, public & auth/r endpoints) can be repeated without side effects
+  isIdempotent() {
+    if (this.version === 1) return !v1WritePattern.test(this.path);
+    return !this.path.startsWith("v2/auth/w/");
+  }
 }
 
+// Named endpoint methods, e.g. helper.orders.update({ id, amount }), see endpoints.js
+// Built from the instance or context they are accessed on, so requests are sent with the options of that context
+Object.keys(endpoints.catalogue).forEach((namespace) =>
+  Object.defineProperty(ApiHelper.prototype, namespace, {
+    get() {
+      return endpoints.build(this, namespace);
+    },
+  })
+);
+
 // Expose the interface only
 module.exports = proxymise(ApiHelper);
@@ -0,0 +1,149 @@
+const EventEmitter = require("events"); // Emit book change events to the consumer
+const OrderBook = require("./OrderBook"); // Local sorted book & checksum calculation
+
+// Connection flag enabling "cs" checksum messages, see: https://docs.bitfinex.com/docs/ws-general#configuration
+const checksumFlag = 131072;
+
+/**
+ * BookManager maintains local order books for book channel subscriptions on a ManagedSocket.
+ * Each book is verified against the platform checksum, and re-subscribed (resynced) on mismatch.
+ *
+ * Events:
+ * - "update" (book, subscription) - A book has changed
+ * - "resync" (book, subscription) - A checksum mismatch was detected, the book is being resynced
+ */
+class BookManager extends EventEmitter {
+  /**
+   * Creates a book manager for a managed socket
+   * @constructor
+   * @param {ManagedSocket} socket - The managed socket the book channels are subscribed on
+   */
+  constructor(socket) {
+    super();
+    this.socket = socket;
+    this.books = {}; // Subscription key => OrderBook
+
+    socket.on("open", () => this.enableChecksums());
+    socket.on("close", () =>
+      Object.values(this.books).forEach((book) => book.reset())
+    );
+    socket.on("book", (data, subscription, type) =>
+      this.onBookMessage(data, subscription, type)
+    );
+    if (socket.isOpen()) this.enableChecksums();
+  }
+
+  /**
+   * Subscribes to a book channel, resolves with the local book once the snapshot has been received
+   * @param {string} symbol - The trading pair, e.g. tBTCUSD
+   * @param {object} params - Optional book channel parameters: prec (P0 - P4, R0), freq (F0, F1), len (1, 25, 100, 250)
+   */
+  subscribe(symbol, params = {}) {
+    params = { symbol: symbol, prec: "P0", freq: "F0", len: "25", ...params };
+    const book = this.getOrCreateBook(params);
+    if (book.synced) return Promise.resolve(book);
+
+    return new Promise((resolve, reject) => {
+      const onUpdate = (updated) => {
+        if (updated !== book) return;
+        this.removeListener("update", onUpdate);
+        resolve(book);
+      };
+      this.on("update", onUpdate);
+      this.socket.subscribe("book", params).catch((e) => {
+        this.removeListener("update", onUpdate);
+        reject(e);
+      });
+    });
+  }
+
+  /**
+   * Unsubscribes from a book channel and discards the local book
+   * @param {string} symbol - The trading pair
+   * @param {object} params - The book channel parameters used to subscribe
+   */
+  unsubscribe(symbol, params = {}) {
+    params = { symbol: symbol, prec: "P0", freq: "F0", len: "25", ...params };
+    delete this.books[this.getKey(params)];
+    return this.socket.unsubscribe("book", params);
+  }
+
+  /**
+   * Returns the local book for a symbol, or undefined if it has not been subscribed
+   * @param {string} symbol - The trading pair
+   * @param {string} prec - The book precision (P0 - P4, R0)
+   */
+  getBook(symbol, prec = "P0") {
+    return Object.values(this.books).find(
+      (book) => book.symbol === symbol && book.prec === prec
+    );
+  }
+
+  bestBid(symbol, prec = "P0") {
+    const book = this.getBook(symbol, prec);
+    return book && book.bestBid();
+  }
+
+  bestAsk(symbol, prec = "P0") {
+    const book = this.getBook(symbol, prec);
+    return book && book.bestAsk();
+  }
+
+  spread(symbol, prec = "P0") {
+    const book = this.getBook(symbol, prec);
+    return book && book.spread();
+  }
+
+  depth(symbol, levels, prec = "P0") {
+    const book = this.getBook(symbol, prec);
+    return book && book.depth(levels);
+  }
+
+  // Private book handling
+  enableChecksums() {
+    this.socket.send({ event: "conf", flags: checksumFlag });
+  }
+
+  getKey(params) {
+    return this.socket.constructor.getSubscriptionKey("book", params);
+  }
+
+  getOrCreateBook(params) {
+    const key = this.getKey(params);
+    if (!this.books[key])
+      this.books[key] = new OrderBook(params.symbol, params.prec);
+    return this.books[key];
+  }
+
+  onBookMessage(data, subscription, type) {
+    const book = this.books[subscription.key];
+    if (!book) return;
+
+    if (type === "snapshot") {
+      book.applySnapshot(data);
+    } else if (type === "cs") {
+      if (!book.synced || book.verify(data)) return;
+      return this.resync(book, subscription);
+    } else {
+      if (!book.synced) return;
+      book.applyUpdate(data);
+    }
+    this.emit("update", book, subscription);
+  }
+
+  resync(book, subscription) {
+    if (this.socket.options.verboseOutput)
+      console.log(
+        `Verbose - Book checksum mismatch for ${book.symbol} ${book.prec}, resyncing`
+      );
+    book.reset();
+    this.emit("resync", book, subscription);
+    const params = subscription.params;
+    this.socket
+      .unsubscribe("book", params)
+      .then(() => this.socket.subscribe("book", params))
+      .catch((e) => this.socket.raise(e));
+  }
+}
+
+module.exports = BookManager;
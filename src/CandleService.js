@@ -0,0 +1,353 @@
+const fs = require("fs"); // Read & write the candle cache
+const path = require("path"); // Cache file paths
+const models = require("./models"); // Typed candle models
+
+// Candle timeframes supported by the platform, in ms - 1M is a calendar month, see: https://docs.bitfinex.com/reference/rest-public-candles
+const timeframes = {
+  "1m": 60000,
+  "5m": 300000,
+  "15m": 900000,
+  "30m": 1800000,
+  "1h": 3600000,
+  "3h": 10800000,
+  "6h": 21600000,
+  "12h": 43200000,
+  "1D": 86400000,
+  "1W": 604800000,
+  "14D": 1209600000,
+  "1M": 2678400000, // 31 days, only used to size download chunks
+};
+
+// Timeframes named differently in cache file names, 1m & 1M would share a file on case-insensitive file systems
+const cacheNames = { "1M": "1mo" };
+
+const weekOffset = 345600000; // Weeks start on Monday, the epoch was a Thursday
+const maxCandlesPerRequest = 10000; // API limit of the candles hist endpoint
+const csvHeader = "mts,date,open,close,high,low,volume";
+
+/**
+ * CandleService downloads historical candles (v2/candles/trade:<timeframe>:<symbol>/hist) into a local file cache,
+ * so repeated runs over the same range only fetch what hasn't been downloaded yet.
+ *
+ * Ranges are downloaded in chunks, the cache is saved after each chunk so an interrupted download resumes where it stopped.
+ * The cache records which time ranges have been downloaded, the candle of the current (incomplete) interval is fetched again on the next run.
+ * Candles are [MTS, OPEN, CLOSE, HIGH, LOW, VOLUME] arrays, or candle models when the typedResponses option is set.
+ */
+class CandleService {
+  /**
+   * Creates a candle service
+   * @constructor
+   * @param {ApiHelper} helper - The ApiHelper used to download candles
+   * @param {object} params - { cacheDir: directory of the cache files (default "candles"), format: "json" or "csv", chunkSize: candles per chunk (max 10000) }
+   */
+  constructor(helper, params = {}) {
+    this.helper = helper;
+    this.cacheDir = params.cacheDir || "candles";
+    this.format = params.format === "csv" ? "csv" : "json";
+    this.chunkSize = Math.min(
+      params.chunkSize || maxCandlesPerRequest,
+      maxCandlesPerRequest
+    );
+  }
+
+  /**
+   * Resolves with the candles of a range, oldest first, downloading the parts of the range missing from the cache
+   * @param {string} symbol - The trading pair, e.g. tBTCUSD
+   * @param {string} timeframe - The candle timeframe: 1m, 5m, 15m, 30m, 1h, 3h, 6h, 12h, 1D, 1W, 14D, 1M
+   * @param {number|Date} start - Start of the range (ms)
+   * @param {number|Date} end - End of the range (ms), defaults to now
+   */
+  load(symbol, timeframe, start, end = Date.now()) {
+    return Promise.resolve()
+      .then(() => {
+        getTimeframe(timeframe);
+        start = Number(start);
+        end = Number(end);
+        const cache = this.readCache(symbol, timeframe);
+        return getMissingRanges(cache.ranges, start, end).reduce(
+          (downloading, range) =>
+            downloading.then(() =>
+              this.download(cache, symbol, timeframe, range)
+            ),
+          Promise.resolve()
+        );
+      })
+      .then(() => this.getCached(symbol, timeframe, start, end));
+  }
+
+  /**
+   * Returns the cached candles of a range, oldest first, without downloading
+   * @param {string} symbol - The trading pair
+   * @param {string} timeframe - The candle timeframe
+   * @param {number|Date} start - Optional start of the range (ms)
+   * @param {number|Date} end - Optional end of the range (ms)
+   */
+  getCached(symbol, timeframe, start = null, end = null) {
+    const candles = this.readCache(symbol, timeframe).candles.filter(
+      ([mts]) =>
+        (start === null || mts >= Number(start)) &&
+        (end === null || mts <= Number(end))
+    );
+    return this.helper.options.typedResponses
+      ? candles.map((candle) => models.toModel("candle", candle))
+      : candles;
+  }
+
+  /**
+   * Returns the time ranges without candles: { start, end, missing } - missing being the number of candles,
+   * including the start / end of the range when supplied. The platform only publishes candles for intervals with trades,
+   * so gaps aren't necessarily missing data.
+   * @param {Array} candles - The candles, oldest first
+   * @param {string} timeframe - The candle timeframe
+   * @param {number|Date} start - Optional start of the range (ms)
+   * @param {number|Date} end - Optional end of the range (ms)
+   */
+  findGaps(candles, timeframe, start = null, end = null) {
+    getTimeframe(timeframe);
+    const times = candles.map((candle) => toRow(candle)[0]);
+    const gaps = [];
+    const addGap = (from, to) => {
+      const missing = countIntervals(timeframe, from, to);
+      if (missing > 0) gaps.push({ start: from, end: to, missing });
+    };
+
+    if (start !== null)
+      addGap(Number(start), times.length ? times[0] - 1 : Number(end));
+    for (let i = 1; i < times.length; i++)
+      addGap(nextTime(timeframe, times[i - 1]), times[i] - 1);
+    if (end !== null && times.length)
+      addGap(nextTime(timeframe, times[times.length - 1]), Number(end));
+    return gaps;
+  }
+
+  /**
+   * Aggregates candles to a higher timeframe: first open, last close, highest high, lowest low and summed volume per interval
+   * Intervals are aligned to UTC: days start at midnight, weeks on Monday, months on the 1st
+   * @param {Array} candles - The candles, oldest first
+   * @param {string} timeframe - The timeframe of the candles
+   * @param {string} target - The higher timeframe, e.g. 1h
+   */
+  resample(candles, timeframe, target) {
+    if (getTimeframe(target) < getTimeframe(timeframe))
+      throw `Unable to resample ${timeframe} candles to the lower timeframe ${target}.`;
+
+    const resampled = [];
+    candles.map(toRow).forEach(([mts, open, close, high, low, volume]) => {
+      const bucket = getBucket(target, mts);
+      const last = resampled[resampled.length - 1];
+      if (!last || last[0] !== bucket)
+        return resampled.push([bucket, open, close, high, low, volume]);
+      last[2] = close;
+      last[3] = Math.max(last[3], high);
+      last[4] = Math.min(last[4], low);
+      last[5] += volume;
+    });
+    return this.helper.options.typedResponses
+      ? resampled.map((candle) => models.toModel("candle", candle))
+      : resampled;
+  }
+
+  /**
+   * Writes candles to a CSV file: mts, date (ISO 8601), open, close, high, low, volume
+   * @param {Array} candles - The candles
+   * @param {string} file - The CSV file path
+   */
+  exportCsv(candles, file) {
+    fs.writeFileSync(file, toCsv(candles.map(toRow)));
+    return this;
+  }
+
+  /**
+   * Deletes the cached candles of a symbol & timeframe
+   * @param {string} symbol - The trading pair
+   * @param {string} timeframe - The candle timeframe
+   */
+  clearCache(symbol, timeframe) {
+    const file = this.getCacheFile(symbol, timeframe);
+    [file, `${file}.ranges.json`]
+      .filter((name) => fs.existsSync(name))
+      .forEach((name) => fs.unlinkSync(name));
+    return this;
+  }
+
+  // Private downloading
+  // Downloads a range chunk by chunk, saving the cache after each chunk
+  download(cache, symbol, timeframe, range) {
+    const chunkDuration = getTimeframe(timeframe) * this.chunkSize;
+    const chunkEnd = Math.min(range.end, range.start + chunkDuration - 1);
+
+    if (this.helper.options.verboseOutput)
+      console.log(
+        `Verbose - Downloading ${symbol} ${timeframe} candles ${new Date(
+          range.start
+        ).toISOString()} - ${new Date(chunkEnd).toISOString()}`
+      );
+    return this.helper
+      .collectPages(`v2/candles/trade:${timeframe}:${symbol}/hist`, {
+        start: range.start,
+        end: chunkEnd,
+        limit: maxCandlesPerRequest,
+        sort: 1,
+      })
+      .then((candles) => {
+        mergeCandles(cache, candles.map(toRow));
+        // The candle of the current interval is incomplete, it isn't marked as downloaded
+        const complete = Math.min(
+          chunkEnd,
+          getBucket(timeframe, Date.now()) - 1
+        );
+        if (complete >= range.start)
+          cache.ranges = mergeRanges([
+            ...cache.ranges,
+            [range.start, complete],
+          ]);
+        this.writeCache(symbol, timeframe, cache);
+        if (chunkEnd < range.end)
+          return this.download(cache, symbol, timeframe, {
+            start: chunkEnd + 1,
+            end: range.end,
+          });
+      });
+  }
+
+  // Private cache persistence
+  // JSON: { symbol, timeframe, ranges, candles }, CSV: candles with the ranges in a .ranges.json file alongside
+  getCacheFile(symbol, timeframe) {
+    const name = cacheNames[timeframe] || timeframe;
+    return path.join(this.cacheDir, `${symbol}_${name}.${this.format}`);
+  }
+
+  readCache(symbol, timeframe) {
+    const file = this.getCacheFile(symbol, timeframe);
+    if (!fs.existsSync(file)) return { ranges: [], candles: [] };
+
+    if (this.format === "json") {
+      const cache = JSON.parse(fs.readFileSync(file, "utf8"));
+      return { ranges: cache.ranges || [], candles: cache.candles || [] };
+    }
+    const rangesFile = `${file}.ranges.json`;
+    return {
+      ranges: fs.existsSync(rangesFile)
+        ? JSON.parse(fs.readFileSync(rangesFile, "utf8"))
+        : [],
+      candles: fromCsv(fs.readFileSync(file, "utf8")),
+    };
+  }
+
+  writeCache(symbol, timeframe, cache) {
+    const file = this.getCacheFile(symbol, timeframe);
+    fs.mkdirSync(this.cacheDir, { recursive: true });
+    if (this.format === "json") {
+      fs.writeFileSync(
+        file,
+        JSON.stringify({
+          symbol,
+          timeframe,
+          ranges: cache.ranges,
+          candles: cache.candles,
+        })
+      );
+    } else {
+      fs.writeFileSync(file, toCsv(cache.candles));
+      fs.writeFileSync(`${file}.ranges.json`, JSON.stringify(cache.ranges));
+    }
+  }
+}
+
+function getTimeframe(timeframe) {
+  if (!timeframes[timeframe])
+    throw `Unknown candle timeframe ${timeframe}, expected one of ${Object.keys(
+      timeframes
+    ).join(", ")}.`;
+  return timeframes[timeframe];
+}
+
+// Start of the interval holding a timestamp, aligned to UTC
+function getBucket(timeframe, mts) {
+  if (timeframe === "1M") {
+    const date = new Date(mts);
+    return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+  }
+  const duration = timeframes[timeframe];
+  if (timeframe === "1W")
+    return Math.floor((mts - weekOffset) / duration) * duration + weekOffset;
+  return Math.floor(mts / duration) * duration;
+}
+
+// Start of the interval following the one starting at mts
+function nextTime(timeframe, mts) {
+  if (timeframe !== "1M") return mts + timeframes[timeframe];
+  const date = new Date(mts);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1);
+}
+
+// Number of intervals starting within [from, to]
+function countIntervals(timeframe, from, to) {
+  let first = getBucket(timeframe, from);
+  if (first < from) first = nextTime(timeframe, first);
+  if (to < first) return 0;
+  if (timeframe !== "1M")
+    return Math.floor((to - first) / timeframes[timeframe]) + 1;
+  let count = 0;
+  for (let mts = first; mts <= to; mts = nextTime(timeframe, mts)) count++;
+  return count;
+}
+
+// Candle models are converted back to [MTS, OPEN, CLOSE, HIGH, LOW, VOLUME]
+function toRow(candle) {
+  if (Array.isArray(candle)) return candle;
+  return models.fields.candle.map((field) => candle[field]);
+}
+
+// Adds downloaded candles to the cache, replacing candles with the same timestamp
+function mergeCandles(cache, candles) {
+  const byTime = new Map(cache.candles.map((candle) => [candle[0], candle]));
+  candles.forEach((candle) => byTime.set(candle[0], candle));
+  cache.candles = [...byTime.values()].sort((a, b) => a[0] - b[0]);
+}
+
+// Sorts & joins overlapping or adjacent [start, end] ranges
+function mergeRanges(ranges) {
+  return ranges
+    .slice()
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, [start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1] + 1) last[1] = Math.max(last[1], end);
+      else merged.push([start, end]);
+      return merged;
+    }, []);
+}
+
+// The parts of [start, end] not covered by the downloaded ranges
+function getMissingRanges(ranges, start, end) {
+  const missing = [];
+  let from = start;
+  mergeRanges(ranges).forEach(([rangeStart, rangeEnd]) => {
+    if (rangeEnd < from || rangeStart > end) return;
+    if (rangeStart > from) missing.push({ start: from, end: rangeStart - 1 });
+    from = Math.max(from, rangeEnd + 1);
+  });
+  if (from <= end) missing.push({ start: from, end: end });
+  return missing;
+}
+
+function toCsv(candles) {
+  const rows = candles.map(([mts, ...values]) =>
+    [mts, new Date(mts).toISOString(), ...values].join(",")
+  );
+  return `${[csvHeader, ...rows].join("\n")}\n`;
+}
+
+function fromCsv(text) {
+  return text
+    .split("\n")
+    .slice(1)
+    .filter((line) => line.trim())
+    .map((line) => {
+      const [mts, , ...values] = line.split(",");
+      return [Number(mts), ...values.map(Number)];
+    });
+}
+
+module.exports = CandleService;
@@ -0,0 +1,117 @@
+const fs = require("fs"); // Read credential files from the file system
+
+const defaultProfile = "default";
+const envPrefix = "BFX_";
+
+/**
+ * CredentialStore holds any number of named key / secret pairs (profiles)
+ * and resolves them by name, so a single ApiHelper can switch between accounts.
+ *
+ * Profiles can be loaded from:
+ * - A legacy credentials file: { "key": "...", "secret": "..." } (loaded as the "default" profile)
+ * - A multi-profile file: { "orders_user": { "api_key": "...", "api_secret": "..." }, ... }
+ * - Either of the above, base64 encoded
+ * - Environment variables: BFX_API_KEY / BFX_API_SECRET for the default profile,
+ *   BFX_<PROFILE>_API_KEY / BFX_<PROFILE>_API_SECRET for named profiles,
+ *   BFX_CREDENTIALS for a (base64 encoded) multi-profile blob
+ */
+class CredentialStore {
+  /**
+   * Creates a credential store
+   * @constructor
+   * @param {object} profiles - Optional initial profiles, keyed by profile name
+   */
+  constructor(profiles = {}) {
+    this.profiles = {};
+    this.addProfiles(profiles);
+  }
+
+  /**
+   * Loads profiles from a credentials file, plain JSON or base64 encoded JSON
+   * @param {string} path - The path to the credentials file
+   */
+  loadFile(path) {
+    const contents = fs.readFileSync(path, "utf8");
+    this.addProfiles(CredentialStore.parse(contents));
+    return this;
+  }
+
+  /**
+   * Loads profiles from environment variables, values found here override profiles loaded from file
+   * @param {object} env - The environment to read, defaults to process.env
+   */
+  loadEnvironment(env = process.env) {
+    if (env[`${envPrefix}CREDENTIALS`])
+      this.addProfiles(CredentialStore.parse(env[`${envPrefix}CREDENTIALS`]));
+
+    const keyPattern = new RegExp(`^${envPrefix}(?:(.+)_)?API_KEY$`);
+    Object.keys(env).forEach((variable) => {
+      const match = variable.match(keyPattern);
+      if (!match) return;
+      const prefix = variable.slice(0, -"KEY".length);
+      const secret = env[`${prefix}SECRET`];
+      if (!env[variable] || !secret) return;
+      const name = match[1] ? match[1].toLowerCase() : defaultProfile;
+      this.profiles[name] = { key: env[variable], secret: secret };
+    });
+    return this;
+  }
+
+  /**
+   * Adds or replaces profiles, entries without a key & secret are ignored
+   * @param {object} profiles - Profiles keyed by name, or a single legacy { key, secret } object
+   */
+  addProfiles(profiles) {
+    if (!profiles || typeof profiles !== "object") return this;
+
+    const legacy = CredentialStore.normalise(profiles);
+    if (legacy) {
+      this.profiles[defaultProfile] = legacy;
+      return this;
+    }
+
+    Object.keys(profiles).forEach((name) => {
+      const credentials = CredentialStore.normalise(profiles[name]);
+      if (credentials) this.profiles[name] = credentials;
+    });
+    return this;
+  }
+
+  /**
+   * Returns the { key, secret } pair for a profile, or undefined if it is unknown
+   * @param {string} name - The profile name, the default profile is used if no name is supplied
+   */
+  getProfile(name = defaultProfile) {
+    return this.profiles[name || defaultProfile];
+  }
+
+  hasProfile(name = defaultProfile) {
+    return !!this.getProfile(name);
+  }
+
+  listProfiles() {
+    return Object.keys(this.profiles);
+  }
+
+  /**
+   * Parses credentials file contents, accepts plain or base64 encoded JSON
+   * @param {string} contents - The raw file / variable contents
+   */
+  static parse(contents) {
+    const text = contents.toString().trim();
+    if (text.startsWith("{")) return JSON.parse(text);
+    return JSON.parse(Buffer.from(text, "base64").toString("utf8"));
+  }
+
+  // Accepts { key, secret } or { api_key, api_secret }, returns null for anything else
+  static normalise(entry) {
+    if (!entry || typeof entry !== "object") return null;
+    const key = entry.key || entry.api_key || entry.apiKey;
+    const secret = entry.secret || entry.api_secret || entry.apiSecret;
+    return key && secret ? { key: key, secret: secret } : null;
+  }
+}
+
+CredentialStore.defaultProfile = defaultProfile;
+
+module.exports = CredentialStore;
@@ -0,0 +1,103 @@
+const http = require("http"); // Native HTTP client
+const https = require("https"); // Native HTTPS client
+
+// Agents reusing connections between requests, used when the keepAlive option is set
+const keepAliveAgents = {
+  "http:": new http.Agent({ keepAlive: true }),
+  "https:": new https.Agent({ keepAlive: true }),
+};
+
+/**
+ * HttpTransport sends REST requests with Node's native http / https modules, it is the default transport.
+ *
+ * A transport is an object with a send(request) function, or a function (request) => Promise, it receives:
+ * { method, url, path, headers, body, timeout, signal, agent, keepAlive }, body being the serialised request body,
+ * and resolves with { statusCode, headers, body }, body being the raw response text.
+ * Failures reject with an Error carrying a code, e.g. ECONNREFUSED, ETIMEDOUT (timeout) or ABORT_ERR (cancelled).
+ * Custom transports can be supplied via the transport option, e.g. for tests, tracing or a gateway.
+ */
+class HttpTransport {
+  /**
+   * Sends a request, resolves with the response once it has been received in full
+   * @param {object} request - { method, url, headers, body, timeout, signal, agent, keepAlive }
+   */
+  send(request) {
+    return new Promise((resolve, reject) => {
+      const { signal, timeout } = request;
+      if (signal && signal.aborted) return reject(HttpTransport.abortError());
+
+      const url = new URL(request.url);
+      const client = url.protocol === "http:" ? http : https;
+      const headers = { ...request.headers };
+      if (request.body)
+        headers["Content-Length"] = Buffer.byteLength(request.body);
+
+      let onAbort = null;
+      const settle = (action, value) => {
+        if (signal && onAbort) signal.removeEventListener("abort", onAbort);
+        action(value);
+      };
+
+      const req = client.request(
+        url,
+        {
+          method: request.method,
+          headers: headers,
+          agent:
+            request.agent ||
+            (request.keepAlive ? keepAliveAgents[url.protocol] : undefined),
+        },
+        (res) => {
+          let body = "";
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => (body += chunk));
+          res.on("error", (e) => settle(reject, e));
+          res.on("end", () =>
+            settle(resolve, {
+              statusCode: res.statusCode,
+              headers: res.headers,
+              body: body,
+            })
+          );
+        }
+      );
+
+      req.on("error", (e) => settle(reject, e));
+      if (timeout)
+        req.setTimeout(timeout, () =>
+          req.destroy(HttpTransport.timeoutError(timeout))
+        );
+      if (signal) {
+        onAbort = () => req.destroy(HttpTransport.abortError());
+        signal.addEventListener("abort", onAbort);
+      }
+
+      if (request.body) req.write(request.body);
+      req.end();
+    });
+  }
+
+  /**
+   * Returns the error a request rejects with when it is cancelled via its AbortSignal
+   */
+  static abortError() {
+    const error = new Error("Request aborted.");
+    error.name = "AbortError";
+    error.code = "ABORT_ERR";
+    return error;
+  }
+
+  /**
+   * Returns the error a request rejects with when no response is received in time
+   * @param {number} timeout - The timeout in ms
+   */
+  static timeoutError(timeout) {
+    const error = new Error(`Request timed out after ${timeout}ms.`);
+    error.code = "ETIMEDOUT";
+    return error;
+  }
+}
+
+HttpTransport.shared = new HttpTransport();
+
+module.exports = HttpTransport;
@@ -0,0 +1,560 @@
+const EventEmitter = require("events"); // Emit typed channel events to the consumer
+const performance = require("node:perf_hooks").performance; // Timestamps for measuring order command round-trip times
+const WebSocket = require("ws"); // WebSocket ready states
+const AccountState = require("./AccountState"); // Local mirror of orders, positions, wallets & fills
+const ApiError = require("./ApiError"); // Unparsable messages & commands rejected before a notification
+const BookManager = require("./BookManager"); // Local order books for book channel subscriptions
+const models = require("./models"); // Typed models for channel data
+const Replayer = require("./Replayer"); // Replayed connections end with the recording
+
+// Request keys that identify a public channel subscription
+const subscriptionKeys = ["symbol", "key", "prec", "freq", "len"];
+
+// Info codes sent by the platform, see: https://docs.bitfinex.com/docs/ws-general#info-messages
+const infoReconnect = 20051;
+const infoMaintenanceEnd = 20061;
+
+/**
+ * ManagedSocket wraps an authenticated WebSocket, as opened by ApiHelper.openSocket()
+ * It keeps track of public channel subscriptions, maps incoming chanIds back to them
+ * and emits typed events, watches heartbeats to detect stale connections,
+ * and reconnects, re-authenticates and re-subscribes with backoff when the connection drops.
+ * Authenticated connections also offer promise based order commands (submitOrder, updateOrder, cancelOrder, ...).
+ *
+ * Events:
+ * - "ticker" | "trades" | "book" | "candles" | ... (data, subscription, type) - Public channel data,
+ *   type is "snapshot", "update" or the message type sent by the platform, e.g. "te", "tu", "cs"
+ * - "account" (type, data) - Authenticated channel (0) data, also emitted as the message type, e.g. "ws" (data)
+ * - "subscribed" | "unsubscribed" (subscription) - Channel subscription changes
+ * - "open" | "close" | "reconnecting" (attempt, delayInMs) | "heartbeat" (subscription) | "info" (message) | "message" (raw) | "error" (error)
+ */
+class ManagedSocket extends EventEmitter {
+  /**
+   * Creates a managed WebSocket, call connect() to open the connection
+   * @constructor
+   * @param {ApiHelper} helper - The ApiHelper instance used to open (and authenticate) connections
+   * @param {object} options - Per-connection options object, see ApiHelper options
+   */
+  constructor(helper, options = {}) {
+    super();
+    this.helper = helper;
+    this.options = { ...helper.options, ...options };
+    this.authenticate =
+      this.options.authenticate !== undefined
+        ? this.options.authenticate
+        : !!((helper.key && helper.secret) || this.options.token);
+
+    this.socket = null;
+    this.subscriptions = {}; // Subscription key => subscription
+    this.channels = {}; // chanId => subscription (current connection only)
+    this.pending = []; // Subscribe requests awaiting confirmation
+    this.commands = []; // Order commands awaiting a notification
+    this.reconnectAttempts = 0;
+    this.closing = false;
+    helper.safety.register(this);
+  }
+
+  /**
+   * Opens the connection (authenticated if credentials are available), and re-subscribes existing subscriptions
+   */
+  connect() {
+    this.closing = false;
+    const opened = this.authenticate
+      ? this.helper.createContext(this.options).openAuthenticatedSocket()
+      : this.openPublicSocket();
+
+    return opened.then((socket) => {
+      this.attach(socket);
+      this.reconnectAttempts = 0;
+      this.emit("open");
+      this.resubscribe();
+      return this;
+    });
+  }
+
+  /**
+   * Subscribes to a public channel, resolves once the platform confirms the subscription
+   * @param {string} channel - The channel name: ticker, trades, book, candles, status
+   * @param {object} params - Channel parameters, e.g. { symbol: "tBTCUSD" } or { key: "trade:1m:tBTCUSD" }
+   */
+  subscribe(channel, params = {}) {
+    const key = ManagedSocket.getSubscriptionKey(channel, params);
+    const existing = this.subscriptions[key];
+    if (existing && existing.chanId !== null) return Promise.resolve(this);
+    const request = this.pending.find((r) => r.subscription === existing);
+    if (request) return request.promise.then(() => this);
+
+    const subscription = existing || {
+      key: key,
+      channel: channel,
+      params: { ...params },
+      chanId: null,
+    };
+    this.subscriptions[key] = subscription;
+    return this.requestSubscription(subscription).then(() => this);
+  }
+
+  /**
+   * Unsubscribes from a public channel, resolves once the platform confirms
+   * @param {string} channel - The channel name
+   * @param {object} params - The channel parameters used to subscribe
+   */
+  unsubscribe(channel, params = {}) {
+    const key = ManagedSocket.getSubscriptionKey(channel, params);
+    const subscription = this.subscriptions[key];
+    if (!subscription) return Promise.resolve(this);
+    delete this.subscriptions[key];
+    if (subscription.chanId === null || !this.isOpen())
+      return Promise.resolve(this);
+
+    return new Promise((resolve) => {
+      const chanId = subscription.chanId;
+      const onUnsubscribed = (unsubscribed) => {
+        if (unsubscribed.chanId !== chanId) return;
+        this.removeListener("unsubscribed", onUnsubscribed);
+        resolve(this);
+      };
+      this.on("unsubscribed", onUnsubscribed);
+      this.send({ event: "unsubscribe", chanId: chanId });
+    });
+  }
+
+  /**
+   * Submits a new order, resolves with the order once the platform confirms it, rejects on error or timeout
+   * A client order id (cid) is generated if the order does not have one
+   * @param {object} order - The order, see: https://docs.bitfinex.com/reference/ws-auth-input-order-new
+   */
+  submitOrder(order) {
+    order = { cid: this.nextCid(), ...order };
+    return this.sendCommand("on", order, (info) => info[2] === order.cid);
+  }
+
+  /**
+   * Updates an existing order, resolves with the updated order
+   * @param {object} changes - The order id and the fields to change, see: https://docs.bitfinex.com/reference/ws-auth-input-order-update
+   */
+  updateOrder(changes) {
+    return this.sendCommand("ou", changes, (info) => info[0] === changes.id);
+  }
+
+  /**
+   * Cancels an order, resolves with the cancelled order
+   * @param {number|object} order - The order id, or { id } or { cid, cid_date }
+   */
+  cancelOrder(order) {
+    const params = typeof order === "object" ? order : { id: order };
+    return this.sendCommand("oc", params, (info) =>
+      params.id !== undefined ? info[0] === params.id : info[2] === params.cid
+    );
+  }
+
+  /**
+   * Cancels multiple orders, resolves with the platform notification
+   * @param {object} params - Orders to cancel: { id: [...] }, { cid: [[cid, cid_date], ...] }, { gid: [...] } or { all: 1 }
+   */
+  cancelMulti(params) {
+    return this.sendCommand("oc_multi", params, () => true);
+  }
+
+  /**
+   * Sends a batch of order operations, resolves with the platform notification
+   * @param {Array} operations - An array of [type, payload] operations, e.g. [["on", {...}], ["oc", { id: 1 }]]
+   */
+  multiOp(operations) {
+    return this.sendCommand("ox_multi", operations, () => true);
+  }
+
+  /**
+   * Sends a message on the current connection
+   * @param {object} payload - The message, serialized to JSON
+   */
+  send(payload) {
+    if (!this.isOpen())
+      throw "Unable to send message; the WebSocket connection is not open.";
+    if (this.options.verboseOutput)
+      console.log(`Verbose - WebSocket Send: ${JSON.stringify(payload)}`);
+    this.socket.send(JSON.stringify(payload));
+  }
+
+  /**
+   * Closes the connection and stops reconnecting
+   */
+  close() {
+    this.closing = true;
+    this.helper.safety.unregister(this);
+    this.stopTimers();
+    if (this.socket) this.socket.close();
+    return Promise.resolve(this);
+  }
+
+  /**
+   * Returns the order book manager for this connection, created on first use, see BookManager
+   */
+  getBookManager() {
+    if (!this.bookManager) this.bookManager = new BookManager(this);
+    return this.bookManager;
+  }
+
+  /**
+   * Returns the account state mirror for this connection, created on first use, see AccountState
+   * The safety limits use it for open orders & wallet balances, see SafetyGuard
+   * @param {object} options - Optional account state options, used when it is created: { resync, maxFills }
+   */
+  getAccountState(options = {}) {
+    if (!this.accountState) {
+      this.accountState = new AccountState(this, options);
+      this.helper.safety.track(this.accountState);
+    }
+    return this.accountState;
+  }
+
+  isOpen() {
+    return !!this.socket && this.socket.readyState === WebSocket.OPEN;
+  }
+
+  // Private order command handling
+  // Sends an input message, the matching "n" notification settles the command
+  sendCommand(type, payload, matches) {
+    return this.prepareOrders(type, payload).then((payload) =>
+      this.checkSafety(type, payload).then((release) => {
+        const startTime = performance.now();
+        const sent = this.sendInputMessage(type, payload, matches);
+        sent.then(release, release);
+        this.measureCommand(type, startTime, sent);
+        return sent;
+      })
+    );
+  }
+
+  // Rejects orders while the kill switch is engaged or breaching the safety limits, see SafetyGuard
+  checkSafety(type, payload) {
+    return this.helper.safety
+      .check(this.helper, type, payload, this.options.safety)
+      .catch((e) => {
+        throw commandError(e, "safety", "ERROR");
+      });
+  }
+
+  // Normalises & validates orders when the validateOrders option is set, see SymbolMetadata
+  prepareOrders(type, payload) {
+    if (!this.options.validateOrders) return Promise.resolve(payload);
+    return this.helper
+      .getMetadata()
+      .then((metadata) => metadata.prepareOrders(type, payload))
+      .catch((e) => {
+        throw commandError(e, "validation", "ERROR");
+      });
+  }
+
+  // Records the round-trip time of a command when the performance option is set, see Metrics
+  measureCommand(type, startTime, sent) {
+    if (!this.options.performance) return;
+    const record = (result) =>
+      this.helper.metrics.recordCommand(
+        type,
+        performance.now() - startTime,
+        result.status
+      );
+    sent.then(record, record);
+  }
+
+  sendInputMessage(type, payload, matches) {
+    return new Promise((resolve, reject) => {
+      if (!this.authenticate)
+        return reject(
+          commandError(
+            "Order commands require an authenticated connection.",
+            "transport",
+            "ERROR"
+          )
+        );
+
+      const command = { type, matches, resolve, reject };
+      command.timer = setTimeout(() => {
+        this.commands.splice(this.commands.indexOf(command), 1);
+        reject(
+          commandError(
+            `No response to "${type}" within ${this.options.commandTimeout}ms.`,
+            "timeout",
+            "TIMEOUT"
+          )
+        );
+      }, this.options.commandTimeout);
+      this.commands.push(command);
+
+      try {
+        this.send([0, type, null, payload]);
+      } catch (e) {
+        clearTimeout(command.timer);
+        this.commands.splice(this.commands.indexOf(command), 1);
+        reject(commandError(e, "transport", "ERROR"));
+      }
+    });
+  }
+
+  onNotification(notification) {
+    const [, type, , , info, code, status, text] = notification;
+    const command = this.commands.find(
+      (c) => `${c.type}-req` === type && c.matches(info || [])
+    );
+    if (!command) return;
+
+    clearTimeout(command.timer);
+    this.commands.splice(this.commands.indexOf(command), 1);
+    const result = { status, text, code, data: info, notification };
+    if (this.options.typedResponses)
+      result.data = models.fromAccountMessage("n", notification).info;
+    if (status === "SUCCESS") command.resolve(result);
+    else command.reject(result);
+  }
+
+  nextCid() {
+    const cid = Date.now();
+    this.lastCid = cid > (this.lastCid || 0) ? cid : this.lastCid + 1;
+    return this.lastCid;
+  }
+
+  // Private connection handling
+  openPublicSocket() {
+    return this.helper.scheduleConnection(
+      () =>
+        new Promise((resolve, reject) => {
+          const socket = this.helper.createSocket(this.options.baseWsUrl);
+          socket.onopen = () => resolve(socket);
+          socket.onerror = (e) =>
+            reject(`Unable to create WebSocket connection: ${e.message}`);
+        })
+    );
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.channels = {};
+    this.lastMessageTime = Date.now();
+
+    socket.onmessage = undefined;
+    socket.onerror = undefined;
+    socket.onclose = undefined;
+    socket.on("message", (data) => this.onMessage(socket, data));
+    socket.on("error", (e) => this.raise(e));
+    socket.on("close", () => this.onClose(socket));
+    this.startHeartbeatMonitor();
+  }
+
+  onClose(socket) {
+    if (socket !== this.socket) return;
+    this.stopTimers();
+    this.channels = {};
+    Object.values(this.subscriptions).forEach((s) => (s.chanId = null));
+    this.emit("close");
+    if (this.canReconnect()) return this.scheduleReconnect();
+
+    // Pending subscriptions are only kept when they will be re-sent after reconnecting
+    this.pending.forEach((request) =>
+      request.reject("WebSocket connection closed before subscribing.")
+    );
+    this.pending = [];
+  }
+
+  scheduleReconnect() {
+    const delay = Math.min(
+      this.options.reconnectDelay * Math.pow(2, this.reconnectAttempts),
+      this.options.maxReconnectDelay
+    );
+    this.reconnectAttempts++;
+    this.emit("reconnecting", this.reconnectAttempts, delay);
+    this.reconnectTimer = setTimeout(() => {
+      this.connect().catch((e) => {
+        this.raise(e);
+        if (this.canReconnect()) this.scheduleReconnect();
+      });
+    }, delay);
+  }
+
+  // Reconnects unless closed, when replaying only while recorded connections are left, see Replayer
+  canReconnect() {
+    if (this.closing || !this.options.autoReconnect) return false;
+    return (
+      !this.options.replay ||
+      Replayer.forFile(this.options.replay).hasConnections()
+    );
+  }
+
+  // Terminates connections that have gone quiet, pinging first to distinguish idle from stale
+  startHeartbeatMonitor() {
+    const timeout = this.options.heartbeatTimeout;
+    if (!timeout) return;
+    this.heartbeatTimer = setInterval(() => {
+      const idle = Date.now() - this.lastMessageTime;
+      if (idle > timeout) {
+        if (this.options.verboseOutput)
+          console.log(
+            `Verbose - WebSocket stale, no message received in ${idle}ms`
+          );
+        this.socket.terminate();
+      } else if (idle > timeout / 2 && this.isOpen()) {
+        this.send({ event: "ping" });
+      }
+    }, timeout / 4);
+  }
+
+  stopTimers() {
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.reconnectTimer);
+  }
+
+  raise(error) {
+    if (this.listenerCount("error") > 0) this.emit("error", error);
+    else console.log(`Warning - ManagedSocket: ${error.message || error}`);
+  }
+
+  // Private subscription handling
+  requestSubscription(subscription) {
+    let request = this.pending.find((r) => r.subscription === subscription);
+    if (!request) {
+      request = { subscription };
+      request.promise = new Promise((resolve, reject) =>
+        Object.assign(request, { resolve, reject })
+      );
+      this.pending.push(request);
+    }
+    if (this.isOpen())
+      this.send({
+        event: "subscribe",
+        channel: subscription.channel,
+        ...subscription.params,
+      });
+    return request.promise;
+  }
+
+  resubscribe() {
+    Object.values(this.subscriptions)
+      .filter((subscription) => subscription.chanId === null)
+      .forEach((subscription) =>
+        this.requestSubscription(subscription).catch((e) => this.raise(e))
+      );
+  }
+
+  takePending(message) {
+    const index = this.pending.findIndex(
+      ({ subscription }) =>
+        subscription.channel === message.channel &&
+        subscriptionKeys.every(
+          (key) =>
+            subscription.params[key] === undefined ||
+            String(subscription.params[key]) === String(message[key])
+        )
+    );
+    return index >= 0 ? this.pending.splice(index, 1)[0] : null;
+  }
+
+  // Private message handling
+  onMessage(socket, data) {
+    if (socket !== this.socket) return;
+    this.lastMessageTime = Date.now();
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      return this.raise(
+        new ApiError(`Unable to parse message: ${data}`, { type: "parse" })
+      );
+    }
+    this.emit("message", message);
+
+    if (Array.isArray(message)) this.onChannelMessage(message);
+    else this.onEventMessage(message);
+  }
+
+  onEventMessage(message) {
+    switch (message.event) {
+      case "subscribed": {
+        const request = this.takePending(message);
+        if (!request) return;
+        request.subscription.chanId = message.chanId;
+        request.subscription.snapshotReceived = false;
+        this.channels[message.chanId] = request.subscription;
+        this.emit("subscribed", request.subscription);
+        return request.resolve(request.subscription);
+      }
+      case "unsubscribed": {
+        const subscription = this.channels[message.chanId];
+        delete this.channels[message.chanId];
+        return this.emit("unsubscribed", {
+          ...subscription,
+          chanId: message.chanId,
+        });
+      }
+      case "error": {
+        // Subscribe errors echo the channel & parameters of the request, other errors are raised
+        const request = this.takePending(message);
+        if (request) {
+          delete this.subscriptions[request.subscription.key];
+          return request.reject(
+            `Subscription failed: ${JSON.stringify(message)}`
+          );
+        }
+        return this.raise(`WebSocket error: ${JSON.stringify(message)}`);
+      }
+      case "info": {
+        this.emit("info", message);
+        if (message.code === infoReconnect) return this.socket.close();
+        if (message.code === infoMaintenanceEnd) this.resubscribe();
+        return;
+      }
+    }
+  }
+
+  onChannelMessage(message) {
+    const [chanId, typeOrData, data] = message;
+
+    if (chanId === 0) {
+      if (typeOrData === "hb") return this.emit("heartbeat", null);
+      if (typeOrData === "n") this.onNotification(data);
+      const accountData = this.options.typedResponses
+        ? models.fromAccountMessage(typeOrData, data)
+        : data;
+      this.emit("account", typeOrData, accountData);
+      return this.emit(typeOrData, accountData);
+    }
+
+    const subscription = this.channels[chanId];
+    if (!subscription) return;
+    if (typeOrData === "hb") return this.emit("heartbeat", subscription);
+
+    let type = typeof typeOrData === "string" ? typeOrData : null;
+    if (!type) {
+      type = subscription.snapshotReceived ? "update" : "snapshot";
+      subscription.snapshotReceived = true;
+    }
+    const channelData = typeof typeOrData === "string" ? data : typeOrData;
+    this.emit(
+      subscription.channel,
+      this.options.typedResponses && type !== "cs"
+        ? models.fromChannelMessage(subscription, channelData)
+        : channelData,
+      subscription,
+      type
+    );
+  }
+
+  /**
+   * Returns the key identifying a subscription
+   * @param {string} channel - The channel name
+   * @param {object} params - The channel parameters
+   */
+  static getSubscriptionKey(channel, params = {}) {
+    const values = subscriptionKeys
+      .filter((key) => params[key] !== undefined)
+      .map((key) => `${key}=${params[key]}`);
+    return [channel, ...values].join("|");
+  }
+}
+
+// Commands settled before a notification arrives reject with an ApiError, carrying the status & text of a notification result
+function commandError(error, type, status) {
+  const apiError = ApiError.fromRequestError(error, type);
+  return Object.assign(apiError, { status: status, text: apiError.message });
+}
+
+module.exports = ManagedSocket;
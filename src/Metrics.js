@@ -0,0 +1,246 @@
+const fs = require("fs"); // Append periodic snapshots to file
+
+// Histogram bucket upper bounds in seconds, for the Prometheus export
+const bucketBounds = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Number of most recent samples kept per endpoint / command type, percentiles are calculated over these
+const maxSamples = 1000;
+
+const throughputWindow = 60000; // Time in ms over which throughput (per minute) is measured
+
+/**
+ * Metrics collects latency, throughput, error and retry statistics when the performance option is set:
+ * per REST endpoint (path) and per WebSocket order command type (on, ou, oc ...), the latter measured from send to notification.
+ *
+ * Statistics can be read as a JSON snapshot, exported in the Prometheus text format, or appended to a file periodically.
+ * Latency percentiles (p50, p95, p99) are calculated over the last 1000 samples, counters & histograms cover all samples since the last reset.
+ */
+class Metrics {
+  /**
+   * Creates an empty metrics collector, one collector is shared by an ApiHelper instance, its contexts and managed sockets
+   * @constructor
+   */
+  constructor() {
+    this.timer = null;
+    this.reset();
+  }
+
+  /**
+   * Records a completed REST request
+   * @param {string} path - The request path, e.g. v2/auth/r/wallets
+   * @param {number} latency - Duration of the (last) attempt in ms
+   * @param {ApiError} error - The error the request failed with, null if successful
+   * @param {number} retries - Number of times the request was retried (transient & rate limit errors)
+   */
+  recordRequest(path, latency, error, retries) {
+    const stats = getStats(this.requests, path);
+    record(stats, latency, error ? error.type || "unknown" : null);
+    stats.retries += retries;
+  }
+
+  /**
+   * Records a completed WebSocket order command
+   * @param {string} type - The input message type, e.g. on, oc_multi
+   * @param {number} latency - Round-trip time in ms, from sending the command to receiving its notification
+   * @param {string} status - The command status: SUCCESS, ERROR, TIMEOUT ...
+   */
+  recordCommand(type, latency, status) {
+    record(
+      getStats(this.commands, type),
+      latency,
+      status === "SUCCESS" ? null : status || "ERROR"
+    );
+  }
+
+  /**
+   * Returns the statistics per endpoint & command type:
+   * { since, requests: { path: { count, errors, errorRate, errorTypes, retries, perMinute, latency: { min, max, mean, p50, p95, p99 } } }, commands: { type: { ... } } }
+   */
+  getSnapshot() {
+    const summarise = (all) =>
+      Object.fromEntries(
+        Object.entries(all).map(([key, stats]) => [key, summary(stats)])
+      );
+    return {
+      since: this.since,
+      time: Date.now(),
+      requests: summarise(this.requests),
+      commands: summarise(this.commands),
+    };
+  }
+
+  /**
+   * Returns the statistics in the Prometheus text exposition format
+   * See: https://prometheus.io/docs/instrumenting/exposition_formats/
+   */
+  toPrometheus() {
+    return [
+      ...histogram(
+        "bfx_api_request_duration_seconds",
+        "REST request latency by endpoint.",
+        "endpoint",
+        this.requests
+      ),
+      ...counter(
+        "bfx_api_requests_total",
+        "REST requests by endpoint and result.",
+        "endpoint",
+        this.requests
+      ),
+      "# HELP bfx_api_request_retries_total REST request retries by endpoint.",
+      "# TYPE bfx_api_request_retries_total counter",
+      ...Object.entries(this.requests).map(
+        ([endpoint, stats]) =>
+          `bfx_api_request_retries_total{endpoint="${escape(endpoint)}"} ${
+            stats.retries
+          }`
+      ),
+      ...histogram(
+        "bfx_api_ws_command_duration_seconds",
+        "WebSocket order command round-trip time by command type.",
+        "type",
+        this.commands
+      ),
+      ...counter(
+        "bfx_api_ws_commands_total",
+        "WebSocket order commands by command type and result.",
+        "type",
+        this.commands
+      ),
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Appends a JSON snapshot to a file (one per line), or passes it to a function, at a fixed interval
+   * The timer doesn't keep the process alive, any running snapshot timer is replaced
+   * @param {string|function} target - The JSONL file path, or a function (snapshot) => void
+   * @param {number} intervalInMs - Time in ms between snapshots
+   */
+  startSnapshots(target, intervalInMs = 60000) {
+    this.stopSnapshots();
+    this.timer = setInterval(() => {
+      const snapshot = this.getSnapshot();
+      if (typeof target === "function") return target(snapshot);
+      fs.appendFileSync(target, `${JSON.stringify(snapshot)}\n`);
+    }, intervalInMs);
+    this.timer.unref();
+    return this;
+  }
+
+  /**
+   * Stops the periodic snapshots
+   */
+  stopSnapshots() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this;
+  }
+
+  /**
+   * Discards all statistics
+   */
+  reset() {
+    this.since = Date.now();
+    this.requests = {}; // Path => stats
+    this.commands = {}; // Command type => stats
+    return this;
+  }
+}
+
+function getStats(all, key) {
+  if (!all[key])
+    all[key] = {
+      count: 0,
+      errors: {}, // Error type / status => count
+      retries: 0,
+      sum: 0, // Total latency in ms
+      min: null,
+      max: null,
+      buckets: bucketBounds.map(() => 0), // Non-cumulative counts per bucket
+      samples: [], // [time, latency] - Most recent samples
+    };
+  return all[key];
+}
+
+function record(stats, latency, error) {
+  stats.count++;
+  if (error) stats.errors[error] = (stats.errors[error] || 0) + 1;
+  stats.sum += latency;
+  stats.min = stats.min === null ? latency : Math.min(stats.min, latency);
+  stats.max = stats.max === null ? latency : Math.max(stats.max, latency);
+  const bucket = bucketBounds.findIndex((bound) => latency / 1000 <= bound);
+  if (bucket !== -1) stats.buckets[bucket]++;
+  stats.samples.push([Date.now(), latency]);
+  if (stats.samples.length > maxSamples) stats.samples.shift();
+}
+
+function summary(stats) {
+  const errors = Object.values(stats.errors).reduce((a, b) => a + b, 0);
+  const now = Date.now();
+  const latencies = stats.samples
+    .map(([, latency]) => latency)
+    .sort((a, b) => a - b);
+  return {
+    count: stats.count,
+    errors: errors,
+    errorRate: stats.count ? errors / stats.count : 0,
+    errorTypes: { ...stats.errors },
+    retries: stats.retries,
+    perMinute: stats.samples.filter(([time]) => now - time <= throughputWindow)
+      .length,
+    latency: {
+      min: stats.min,
+      max: stats.max,
+      mean: stats.count ? stats.sum / stats.count : null,
+      p50: percentile(latencies, 0.5),
+      p95: percentile(latencies, 0.95),
+      p99: percentile(latencies, 0.99),
+    },
+  };
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+function histogram(name, help, label, all) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+  Object.entries(all).forEach(([key, stats]) => {
+    const labels = `${label}="${escape(key)}"`;
+    let cumulative = 0;
+    bucketBounds.forEach((bound, index) => {
+      cumulative += stats.buckets[index];
+      lines.push(`${name}_bucket{${labels},le="${bound}"} ${cumulative}`);
+    });
+    lines.push(`${name}_bucket{${labels},le="+Inf"} ${stats.count}`);
+    lines.push(`${name}_sum{${labels}} ${stats.sum / 1000}`);
+    lines.push(`${name}_count{${labels}} ${stats.count}`);
+  });
+  return lines;
+}
+
+function counter(name, help, label, all) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+  Object.entries(all).forEach(([key, stats]) => {
+    const labels = `${label}="${escape(key)}"`;
+    const errors = Object.values(stats.errors).reduce((a, b) => a + b, 0);
+    lines.push(`${name}{${labels},result="success"} ${stats.count - errors}`);
+    Object.entries(stats.errors).forEach(([error, count]) =>
+      lines.push(`${name}{${labels},result="${escape(error)}"} ${count}`)
+    );
+  });
+  return lines;
+}
+
+// Escapes a Prometheus label value
+function escape(value) {
+  return `${value}`
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+module.exports = Metrics;
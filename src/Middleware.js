@@ -0,0 +1,180 @@
+const ApiError = require("./ApiError"); // Failing socket hooks are raised as middleware errors
+
+// Hook names, in the order they run for a request / socket frame
+const hookNames = [
+  "request",
+  "response",
+  "error",
+  "socketSend",
+  "socketMessage",
+];
+
+/**
+ * Middleware is a pipeline of hooks that can inspect or modify REST requests, responses, errors and socket frames.
+ *
+ * A middleware is an object with any of the following hooks, each receives the value and the ApiHelper context,
+ * and returns a replacement value, or undefined to keep the value unchanged:
+ * - request(request, context) - The outgoing request: { method, path, url, headers, body, timeout, signal, agent, keepAlive },
+ *   built by getRequestPayloadV1 / V2, body is the serialised JSON. Changes to the body of an authenticated request invalidate its signature.
+ * - response(response, context) - The parsed (and typed, if enabled) response of a successful request
+ * - error(error, context) - The ApiError a request fails with, after retries
+ * - socketSend(message, context) - An outgoing socket frame, parsed from JSON, return null to drop the frame
+ * - socketMessage(message, context) - An inbound socket frame, parsed from JSON, return null to drop the frame
+ *
+ * REST hooks may be async (return a Promise), socket hooks are synchronous so frames keep their order.
+ * A socket hook that throws drops the frame and fails with a middleware ApiError: a socketSend error is passed to the callback of send() when supplied,
+ * otherwise the socket emits "error" with it, as it does for its own errors (an "error" event without a listener is thrown).
+ * Hooks run in ascending priority, middleware with equal priority in the order registered, global middleware (Middleware.global) first.
+ */
+class Middleware {
+  /**
+   * Creates an empty pipeline
+   * @constructor
+   * @param {Middleware} parent - Optional pipeline whose middleware also runs, e.g. Middleware.global
+   */
+  constructor(parent = null) {
+    this.parent = parent;
+    this.entries = []; // { middleware, priority, order }
+  }
+
+  /**
+   * Registers a middleware, throws if it has a function that isn't a hook, e.g. a misspelt hook name
+   * @param {object} middleware - An object with request, response, error, socketSend and / or socketMessage hooks
+   * @param {object} params - { priority: lower runs first, default 0 }
+   */
+  use(middleware, params = {}) {
+    const unknown = Object.keys(middleware).filter(
+      (key) => typeof middleware[key] === "function" && !hookNames.includes(key)
+    );
+    if (unknown.length)
+      throw `Unknown middleware hook(s) ${unknown.join(
+        ", "
+      )}, expected ${hookNames.join(", ")}.`;
+    this.entries.push({
+      middleware,
+      priority: params.priority || 0,
+      order: Middleware.registrations++,
+    });
+    return this;
+  }
+
+  /**
+   * Removes a middleware registered with use()
+   * @param {object} middleware - The middleware object
+   */
+  remove(middleware) {
+    this.entries = this.entries.filter(
+      (entry) => entry.middleware !== middleware
+    );
+    return this;
+  }
+
+  /**
+   * Runs a hook of every middleware in order, resolves with the resulting value
+   * @param {string} hook - The hook name: request, response or error
+   * @param {any} value - The value passed to the first middleware
+   * @param {ApiHelper} context - The request context
+   */
+  run(hook, value, context) {
+    return this.getHooks(hook).reduce(
+      (promise, fn) =>
+        promise.then((current) =>
+          Promise.resolve(fn(current, context)).then((result) =>
+            result === undefined ? current : result
+          )
+        ),
+      Promise.resolve(value)
+    );
+  }
+
+  /**
+   * Runs a socket hook of every middleware in order, returns the resulting value, null if the frame is dropped
+   * @param {string} hook - The hook name: socketSend or socketMessage
+   * @param {any} value - The parsed frame
+   * @param {ApiHelper} context - The context that opened the socket
+   */
+  runSync(hook, value, context) {
+    let current = value;
+    for (const fn of this.getHooks(hook)) {
+      const result = fn(current, context);
+      if (result !== undefined) current = result;
+      if (current === null) return null;
+    }
+    return current;
+  }
+
+  /**
+   * Passes the frames sent & received by a WebSocket through the socket hooks, if any are registered
+   * @param {WebSocket} socket - The socket, before it is opened
+   * @param {ApiHelper} context - The context that opened the socket
+   */
+  attachSocket(socket, context) {
+    const transform = (hook, data) => {
+      const text = data.toString();
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (e) {
+        message = text;
+      }
+      let result;
+      try {
+        result = this.runSync(hook, message, context);
+      } catch (e) {
+        throw ApiError.fromMiddlewareError(e, hook, context.path);
+      }
+      if (result === null) return null;
+      return typeof result === "string" ? result : JSON.stringify(result);
+    };
+
+    // A failed frame is dropped, the error is passed to the send() callback if supplied, otherwise emitted by the socket
+    const send = socket.send.bind(socket);
+    socket.send = (data, ...args) => {
+      if (!this.getHooks("socketSend").length) return send(data, ...args);
+      let frame;
+      try {
+        frame = transform("socketSend", data);
+      } catch (e) {
+        const callback = args.find((arg) => typeof arg === "function");
+        return callback ? callback(e) : socket.emit("error", e);
+      }
+      if (frame !== null) return send(frame, ...args);
+    };
+
+    const emit = socket.emit.bind(socket);
+    socket.emit = (event, data, ...args) => {
+      if (event !== "message" || !this.getHooks("socketMessage").length)
+        return emit(event, data, ...args);
+      let frame;
+      try {
+        frame = transform("socketMessage", data);
+      } catch (e) {
+        return emit("error", e);
+      }
+      return frame !== null ? emit(event, frame, ...args) : false;
+    };
+  }
+
+  // Private hook lookup, parent (global) middleware runs before middleware of the same priority registered here
+  getEntries(depth = 0) {
+    const entries = this.entries.map((entry) => ({ ...entry, depth }));
+    return this.parent
+      ? [...this.parent.getEntries(depth - 1), ...entries]
+      : entries;
+  }
+
+  getHooks(hook) {
+    return this.getEntries()
+      .filter((entry) => typeof entry.middleware[hook] === "function")
+      .sort(
+        (a, b) =>
+          a.priority - b.priority || a.depth - b.depth || a.order - b.order
+      )
+      .map((entry) => entry.middleware[hook].bind(entry.middleware));
+  }
+}
+
+Middleware.registrations = 0; // Registration counter, orders middleware of equal priority
+Middleware.global = new Middleware(); // Middleware applied to every ApiHelper instance
+
+module.exports = Middleware;
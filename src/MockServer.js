@@ -0,0 +1,566 @@
+const CryptoJS = require("crypto-js"); // Verify request signatures
+const EventEmitter = require("events"); // Emit received requests & messages to the test
+const http = require("http"); // Serve the REST API
+const WebSocket = require("ws"); // Serve the WebSocket API
+
+// Credentials accepted by default, pass them via the key / secret options
+const defaultCredentials = { key: "mock-api-key", secret: "mock-api-secret" };
+
+// Platform error codes, see: https://docs.bitfinex.com/docs/abbreviations-glossary#error-codes
+const errorUnknown = 10000;
+const errorApiKey = 10100;
+const errorNonce = 10114;
+const errorNotFound = 10020;
+
+// Fields of an order array, as sent in order notifications: [ID, GID, CID, SYMBOL, MTS_CREATE, MTS_UPDATE, AMOUNT, AMOUNT_ORIG, TYPE, ...]
+const orderLength = 32;
+
+// A fixture response with a status code, see MockServer.reply
+class Reply {
+  constructor(statusCode, body) {
+    this.statusCode = statusCode;
+    this.body = body;
+  }
+}
+
+/**
+ * MockServer is an in-process fake of the Bitfinex REST & WebSocket APIs, for testing without network access.
+ * Requests are authenticated exactly as the platform does it: V1 & V2 signatures, WebSocket auth payloads,
+ * tokens and strictly increasing nonces are verified, failures are answered with the platform error responses.
+ * Responses are scripted per path with respond(), socket input messages with respondToSocket().
+ *
+ * Target the server by passing getOptions() (baseRestUrl & baseWsUrl) to ApiHelper.
+ *
+ * Events:
+ * - "request" (request) - A REST request was received: { method, path, query, body, headers, version, key, authenticated }
+ * - "connection" (client) | "authenticated" (client) | "message" (message, client) - WebSocket activity
+ * - "subscribed" (subscription, client) - A client subscribed to a channel: { chanId, channel, ...params }
+ */
+class MockServer extends EventEmitter {
+  /**
+   * Creates a mock server, call listen() to start it
+   * @constructor
+   * @param {object} options - { credentials: [{ key, secret }], tokens: [], checkNonces: true }
+   */
+  constructor(options = {}) {
+    super();
+    this.credentials = {}; // key => secret
+    (options.credentials || [defaultCredentials]).forEach(
+      ({ key, secret }) => (this.credentials[key] = secret)
+    );
+    this.tokens = options.tokens || [];
+    this.checkNonces = options.checkNonces !== false;
+
+    this.fixtures = []; // REST responses, most recent first
+    this.socketHandlers = {}; // Input message type / event name => handler
+    this.requests = []; // REST requests received
+    this.nonces = {}; // key => last nonce received
+    this.clients = new Set();
+    this.nextChanId = 1;
+    this.nextOrderId = 1;
+    this.port = null;
+
+    this.respond("v2/platform/status", [1]);
+  }
+
+  /**
+   * Starts the server, resolves once it is listening
+   * @param {number} port - The port to listen on, 0 picks a free port
+   */
+  listen(port = 0) {
+    this.server = http.createServer((req, res) => this.onRequest(req, res));
+    this.wss = new WebSocket.Server({ server: this.server });
+    this.wss.on("connection", (socket) => this.onConnection(socket));
+
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, "127.0.0.1", () => {
+        this.port = this.server.address().port;
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stops the server and drops all WebSocket connections
+   */
+  close() {
+    this.dropConnections();
+    return new Promise((resolve) => {
+      if (!this.server) return resolve(this);
+      this.wss.close();
+      this.server.close(() => resolve(this));
+    });
+  }
+
+  /**
+   * Returns the options targeting this server: { baseRestUrl, baseWsUrl, key, secret }
+   */
+  getOptions() {
+    const [key] = Object.keys(this.credentials);
+    return {
+      baseRestUrl: `http://127.0.0.1:${this.port}/`,
+      baseWsUrl: `ws://127.0.0.1:${this.port}/ws/2`,
+      key: key || null,
+      secret: key ? this.credentials[key] : null,
+    };
+  }
+
+  /**
+   * Scripts the response to a REST path, fixtures added later take precedence
+   * @param {string|RegExp} path - The path without URL parameters, e.g. v2/auth/r/wallets
+   * @param {any} response - The response body, a Reply (see MockServer.reply / MockServer.error), or a function (request) => response
+   * @param {object} options - { method: "GET" | "POST", statusCode: 200, times: Infinity, delay: 0 }
+   */
+  respond(path, response, options = {}) {
+    this.fixtures.unshift({
+      path: path,
+      response: response,
+      method: options.method || null,
+      statusCode: options.statusCode || 200,
+      times: options.times !== undefined ? options.times : Infinity,
+      delay: options.delay || 0,
+    });
+    return this;
+  }
+
+  /**
+   * Scripts an error response to a REST path, in the format of the path version
+   * @param {string|RegExp} path - The path without URL parameters
+   * @param {number} code - The platform error code, e.g. 10100
+   * @param {string} message - The error message, e.g. "apikey: invalid"
+   * @param {object} options - { method, statusCode, times, delay }, see respond
+   */
+  respondWithError(path, code, message, options = {}) {
+    const isV1 = typeof path === "string" && path.startsWith("v1/");
+    const statusCode = options.statusCode || (isV1 ? 400 : 500);
+    return this.respond(
+      path,
+      isV1
+        ? MockServer.reply(statusCode, { message: message })
+        : MockServer.error(code, message, statusCode),
+      options
+    );
+  }
+
+  /**
+   * Scripts the response to a socket message, replacing the default behaviour
+   * @param {string} type - The input message type (e.g. "on", "oc") or event name (e.g. "subscribe")
+   * @param {function} handler - (message, reply, client) => void, reply(message) sends a message to the client
+   */
+  respondToSocket(type, handler) {
+    this.socketHandlers[type] = handler;
+    return this;
+  }
+
+  /**
+   * Removes all scripted responses and received requests, and forgets nonces
+   */
+  reset() {
+    this.fixtures = [];
+    this.socketHandlers = {};
+    this.requests = [];
+    this.nonces = {};
+    this.respond("v2/platform/status", [1]);
+    return this;
+  }
+
+  /**
+   * Sends an account message ([0, type, data]) to all authenticated clients
+   * @param {string} type - The message type, e.g. "ws", "on", "n"
+   * @param {any} data - The message data
+   */
+  push(type, data) {
+    this.clients.forEach((client) => {
+      if (client.authenticated) this.send(client, [0, type, data]);
+    });
+  }
+
+  /**
+   * Sends channel data ([chanId, data]) to all clients subscribed to a matching channel
+   * @param {string} channel - The channel name, e.g. ticker
+   * @param {object} params - Subscription parameters to match, e.g. { symbol: "tBTCUSD" }
+   * @param {any} data - The channel data, e.g. a snapshot array or ["te", trade]
+   */
+  publish(channel, params, data) {
+    const hasType = Array.isArray(data) && typeof data[0] === "string"; // e.g. ["te", trade]
+    this.clients.forEach((client) =>
+      Object.values(client.subscriptions)
+        .filter(
+          (subscription) =>
+            subscription.channel === channel &&
+            Object.keys(params).every((key) => subscription[key] == params[key])
+        )
+        .forEach((subscription) =>
+          this.send(
+            client,
+            hasType
+              ? [subscription.chanId, ...data]
+              : [subscription.chanId, data]
+          )
+        )
+    );
+  }
+
+  /**
+   * Sends a heartbeat on every channel of every client
+   */
+  heartbeat() {
+    this.clients.forEach((client) => {
+      if (client.authenticated) this.send(client, [0, "hb"]);
+      Object.keys(client.subscriptions).forEach((chanId) =>
+        this.send(client, [Number(chanId), "hb"])
+      );
+    });
+  }
+
+  /**
+   * Sends an info message to all clients, e.g. 20051 (reconnect) or 20060 / 20061 (maintenance start / end)
+   * @param {number} code - The info code
+   * @param {string} msg - The info message
+   */
+  sendInfo(code, msg = "") {
+    this.clients.forEach((client) =>
+      this.send(client, { event: "info", code: code, msg: msg })
+    );
+  }
+
+  /**
+   * Terminates all WebSocket connections, e.g. to test reconnection
+   */
+  dropConnections() {
+    this.clients.forEach((client) => client.socket.terminate());
+    this.clients.clear();
+  }
+
+  /**
+   * Returns a fixture response with a status code
+   * @param {number} statusCode - The HTTP status code
+   * @param {any} body - The response body
+   */
+  static reply(statusCode, body) {
+    return new Reply(statusCode, body);
+  }
+
+  /**
+   * Returns a V2 error response: ["error", code, message]
+   * @param {number} code - The platform error code
+   * @param {string} message - The error message
+   * @param {number} statusCode - The HTTP status code, the platform sends most errors as HTTP 500
+   */
+  static error(code, message, statusCode = 500) {
+    return new Reply(statusCode, ["error", code, message]);
+  }
+
+  /**
+   * Returns a V2 order array, as sent in order snapshots, order messages & notifications
+   * @param {object} order - { id, gid, cid, symbol, amount, type, price, status: "ACTIVE", meta, mts: now }
+   */
+  static order(order) {
+    const mts = order.mts || Date.now();
+    const row = new Array(orderLength).fill(null);
+    row[0] = order.id || null;
+    row[1] = order.gid || null;
+    row[2] = order.cid || null;
+    row[3] = order.symbol || null;
+    row[4] = mts;
+    row[5] = mts;
+    row[6] = order.amount !== undefined ? Number(order.amount) : null;
+    row[7] = row[6];
+    row[8] = order.type || null;
+    row[13] = order.status || "ACTIVE";
+    row[16] = order.price !== undefined ? Number(order.price) : null;
+    row[31] = order.meta || null;
+    return row;
+  }
+
+  // Private REST handling
+  onRequest(req, res) {
+    let rawBody = "";
+    req.on("data", (chunk) => (rawBody += chunk));
+    req.on("end", () => {
+      // Parsed manually, ApiHelper requests start with "//" which URL would read as a host
+      const [pathname, args] = req.url.split("?");
+      const search = args !== undefined ? `?${args}` : "";
+      const path = pathname.replace(/^\/+/, "");
+      const request = {
+        method: req.method,
+        path: path,
+        query: Object.fromEntries(new URLSearchParams(search)),
+        body: parseBody(rawBody),
+        headers: req.headers,
+        version: path.startsWith("v1/") ? 1 : 2,
+        key: null,
+        authenticated: false,
+      };
+      this.requests.push(request);
+
+      const authError = this.authenticate(request, rawBody, search);
+      this.emit("request", request);
+      if (authError) return this.sendReply(res, authError, request.version);
+
+      this.getResponse(request).then(
+        (reply) => this.sendReply(res, reply, request.version),
+        (e) =>
+          this.sendReply(
+            res,
+            MockServer.error(errorUnknown, `${e}`),
+            request.version
+          )
+      );
+    });
+  }
+
+  // Verifies the request credentials, returns an error reply if they are invalid
+  authenticate(request, rawBody, search) {
+    const headers = request.headers;
+    const token = headers["bfx-token"];
+    const key =
+      request.version === 1 ? headers["x-bfx-apikey"] : headers["bfx-apikey"];
+
+    if (token) {
+      if (!this.tokens.includes(token))
+        return this.getAuthError(request, "token: invalid");
+      request.authenticated = true;
+      return null;
+    }
+    if (!key) {
+      if (request.path.startsWith("v2/auth/"))
+        return this.getAuthError(request, "apikey: digest invalid");
+      return null;
+    }
+
+    const secret = this.credentials[key];
+    if (!secret) return this.getAuthError(request, "apikey: invalid");
+
+    let nonce;
+    if (request.version === 1) {
+      const payload = headers["x-bfx-payload"] || "";
+      const signature = CryptoJS.HmacSHA384(payload, secret).toString(
+        CryptoJS.enc.Hex
+      );
+      const decoded = parseBody(Buffer.from(payload, "base64").toString());
+      if (
+        headers["x-bfx-signature"] !== signature ||
+        !decoded ||
+        JSON.stringify(decoded) !== JSON.stringify(request.body) ||
+        decoded.request !== `/${request.path}${search}`
+      )
+        return this.getAuthError(request, "Invalid X-BFX-SIGNATURE.");
+      nonce = decoded.nonce;
+    } else {
+      nonce = headers["bfx-nonce"];
+      const signature = CryptoJS.HmacSHA384(
+        `/api/${request.path}${nonce}${rawBody}`,
+        secret
+      ).toString();
+      if (headers["bfx-signature"] !== signature)
+        return this.getAuthError(request, "apikey: digest invalid");
+    }
+
+    if (this.checkNonces) {
+      if (
+        !/^\d+$/.test(`${nonce}`) ||
+        BigInt(nonce) <= (this.nonces[key] || 0n)
+      )
+        return request.version === 1
+          ? MockServer.reply(400, { message: "Nonce is too small." })
+          : MockServer.error(errorNonce, "nonce: small");
+      this.nonces[key] = BigInt(nonce);
+    }
+
+    request.key = key;
+    request.authenticated = true;
+    return null;
+  }
+
+  getAuthError(request, message) {
+    return request.version === 1
+      ? MockServer.reply(400, { message: message })
+      : MockServer.error(errorApiKey, message);
+  }
+
+  getResponse(request) {
+    const fixture = this.fixtures.find(
+      (f) =>
+        f.times > 0 &&
+        (!f.method || f.method === request.method) &&
+        (f.path instanceof RegExp
+          ? f.path.test(request.path)
+          : f.path === request.path)
+    );
+    if (!fixture)
+      return Promise.resolve(
+        MockServer.error(
+          errorNotFound,
+          `No fixture for ${request.method} ${request.path}`,
+          404
+        )
+      );
+
+    fixture.times--;
+    return new Promise((resolve) => setTimeout(resolve, fixture.delay))
+      .then(() =>
+        typeof fixture.response === "function"
+          ? fixture.response(request)
+          : fixture.response
+      )
+      .then((response) =>
+        response instanceof Reply
+          ? response
+          : new Reply(fixture.statusCode, response)
+      );
+  }
+
+  sendReply(res, reply, version) {
+    res.writeHead(reply.statusCode, { "Content-Type": "application/json" });
+    res.end(
+      reply.body === undefined
+        ? version === 1
+          ? "{}"
+          : "[]"
+        : JSON.stringify(reply.body)
+    );
+  }
+
+  // Private WebSocket handling
+  onConnection(socket) {
+    const client = {
+      socket: socket,
+      authenticated: false,
+      key: null,
+      dms: false,
+      filter: null,
+      subscriptions: {}, // chanId => subscription
+    };
+    this.clients.add(client);
+    socket.on("close", () => this.clients.delete(client));
+    socket.on("message", (data) => {
+      const message = parseBody(data.toString());
+      this.emit("message", message, client);
+      if (message) this.onMessage(message, client);
+    });
+    this.send(client, { event: "info", version: 2, platform: { status: 1 } });
+    this.emit("connection", client);
+  }
+
+  onMessage(message, client) {
+    const reply = (response) => this.send(client, response);
+    const type = Array.isArray(message) ? message[1] : message.event;
+    if (this.socketHandlers[type])
+      return this.socketHandlers[type](message, reply, client);
+
+    if (Array.isArray(message)) {
+      if (!client.authenticated) return;
+      return this.onInputMessage(type, message[3] || {}, reply);
+    }
+
+    switch (type) {
+      case "auth":
+        return this.authenticateSocket(message, client);
+      case "subscribe": {
+        const { event, ...params } = message;
+        const subscription = { chanId: this.nextChanId++, ...params };
+        client.subscriptions[subscription.chanId] = subscription;
+        reply({ event: "subscribed", ...subscription });
+        return this.emit("subscribed", subscription, client);
+      }
+      case "unsubscribe":
+        delete client.subscriptions[message.chanId];
+        return reply({
+          event: "unsubscribed",
+          status: "OK",
+          chanId: message.chanId,
+        });
+      case "ping":
+        return reply({ event: "pong", ts: Date.now(), cid: message.cid });
+      case "conf":
+        return reply({ event: "conf", status: "OK", flags: message.flags });
+    }
+  }
+
+  // Verifies the auth payload exactly as ApiHelper.getWebSocketSignature() generates it
+  authenticateSocket(message, client) {
+    const fail = (msg) =>
+      this.send(client, {
+        event: "auth",
+        status: "FAILED",
+        chanId: 0,
+        code: errorApiKey,
+        msg: msg,
+      });
+
+    if (message.token) {
+      if (!this.tokens.includes(message.token)) return fail("token: invalid");
+    } else {
+      const secret = this.credentials[message.apiKey];
+      if (!secret) return fail("apikey: invalid");
+      const signature = CryptoJS.HmacSHA384(
+        message.authPayload || "",
+        secret
+      ).toString(CryptoJS.enc.Hex);
+      if (
+        message.authPayload !== `AUTH${message.authNonce}` ||
+        message.authSig !== signature
+      )
+        return fail("apikey: invalid");
+      if (this.checkNonces) {
+        const nonce = `${message.authNonce}`;
+        if (
+          !/^\d+$/.test(nonce) ||
+          BigInt(nonce) <= (this.nonces[message.apiKey] || 0n)
+        )
+          return fail("nonce: small");
+        this.nonces[message.apiKey] = BigInt(nonce);
+      }
+    }
+
+    client.authenticated = true;
+    client.key = message.apiKey || null;
+    client.dms = message.dms === 4;
+    client.filter = message.filter || null;
+    this.send(client, {
+      event: "auth",
+      status: "OK",
+      chanId: 0,
+      userId: 1,
+      caps: {},
+    });
+    this.emit("authenticated", client);
+  }
+
+  // Confirms input messages with a successful notification, orders are echoed as order arrays
+  onInputMessage(type, payload, reply) {
+    const mts = Date.now();
+    let info = payload;
+    if (["on", "ou", "oc"].includes(type))
+      info = MockServer.order({
+        ...payload,
+        id: type === "on" ? this.nextOrderId++ : payload.id,
+        status: type === "oc" ? "CANCELED" : "ACTIVE",
+        mts: mts,
+      });
+    reply([
+      0,
+      "n",
+      [mts, `${type}-req`, null, null, info, null, "SUCCESS", "Submitted"],
+    ]);
+  }
+
+  send(client, message) {
+    if (client.socket.readyState === WebSocket.OPEN)
+      client.socket.send(JSON.stringify(message));
+  }
+}
+
+function parseBody(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch (e) {
+    return null;
+  }
+}
+
+MockServer.defaultCredentials = defaultCredentials;
+
+module.exports = MockServer;
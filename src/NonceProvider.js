@@ -0,0 +1,133 @@
+const CryptoJS = require("crypto-js"); // Hash API keys before they are persisted
+const fs = require("fs"); // Persist nonces & lock files
+const ApiError = require("./ApiError"); // Lock timeouts fail the request with a nonce error
+
+const lockRetryMs = 5; // Time in ms to wait between attempts to acquire the lock
+const lockTimeoutMs = 2000; // Time in ms to wait for the lock before failing
+const staleLockMs = 10000; // Locks older than this are assumed to be left behind by a crashed process
+
+/**
+ * NonceProvider generates strictly increasing nonces per API key.
+ * Nonces are based on the current time in microseconds, and are always greater than the last nonce issued for the key,
+ * so requests sent within the same millisecond still receive unique, increasing nonces.
+ *
+ * When a file path is supplied the last nonce per key is persisted to that file, protected by a lock file,
+ * so multiple processes on one machine can share an API key. The lock is awaited without blocking the event loop,
+ * callers within the process are served in order.
+ */
+class NonceProvider {
+  /**
+   * Creates a nonce provider
+   * @constructor
+   * @param {string} path - Optional path of the file used to share nonces between processes
+   */
+  constructor(path = null) {
+    this.path = path;
+    this.lastNonces = {}; // API key hash => last nonce issued by this process
+    this.queue = Promise.resolve(); // Nonces awaiting the lock file, in order requested
+  }
+
+  /**
+   * Resolves with the next nonce for an API key, rejects with a nonce ApiError if the lock file can't be acquired
+   * @param {string} key - The API key
+   */
+  next(key = "") {
+    const id = CryptoJS.SHA256(key || "").toString();
+    if (!this.path)
+      return Promise.resolve(this.issue(id, this.lastNonces[id]).toString());
+
+    const issued = this.queue.then(() =>
+      this.withLock(() => {
+        const nonces = this.read();
+        const nonce = this.issue(
+          id,
+          Math.max(nonces[id] || 0, this.lastNonces[id] || 0)
+        );
+        nonces[id] = nonce;
+        this.write(nonces);
+        return nonce.toString();
+      })
+    );
+    this.queue = issued.catch(() => {});
+    return issued;
+  }
+
+  /**
+   * Returns the provider persisting nonces to a file, providers are shared per path
+   * @param {string} path - The nonce file path
+   */
+  static forFile(path) {
+    if (!NonceProvider.fileProviders[path])
+      NonceProvider.fileProviders[path] = new NonceProvider(path);
+    return NonceProvider.fileProviders[path];
+  }
+
+  // Private nonce generation
+  issue(id, last = 0) {
+    const nonce = Math.max(Date.now() * 1000, last + 1);
+    this.lastNonces[id] = nonce;
+    return nonce;
+  }
+
+  // Private persistence
+  read() {
+    try {
+      return JSON.parse(fs.readFileSync(this.path, "utf8"));
+    } catch (e) {
+      return {};
+    }
+  }
+
+  write(nonces) {
+    const temporaryPath = `${this.path}.${process.pid}.tmp`;
+    fs.writeFileSync(temporaryPath, JSON.stringify(nonces));
+    fs.renameSync(temporaryPath, this.path);
+  }
+
+  // Runs the action holding the lock file, resolves with its result
+  withLock(action) {
+    const lockPath = `${this.path}.lock`;
+    const started = Date.now();
+
+    const acquire = () => {
+      try {
+        return Promise.resolve(fs.openSync(lockPath, "wx"));
+      } catch (e) {
+        if (e.code !== "EEXIST") return Promise.reject(e);
+        this.removeStaleLock(lockPath);
+        if (Date.now() - started > lockTimeoutMs)
+          return Promise.reject(
+            new ApiError(`Unable to acquire nonce lock @ path: ${lockPath}`, {
+              type: "nonce",
+            })
+          );
+        return new Promise((resolve) => setTimeout(resolve, lockRetryMs)).then(
+          acquire
+        );
+      }
+    };
+
+    return acquire().then((lock) => {
+      try {
+        return action();
+      } finally {
+        fs.closeSync(lock);
+        fs.unlinkSync(lockPath);
+      }
+    });
+  }
+
+  removeStaleLock(lockPath) {
+    try {
+      if (Date.now() - fs.statSync(lockPath).mtimeMs > staleLockMs)
+        fs.unlinkSync(lockPath);
+    } catch (e) {
+      // The lock was released in the meantime
+    }
+  }
+}
+
+NonceProvider.fileProviders = {};
+NonceProvider.shared = new NonceProvider();
+
+module.exports = NonceProvider;
@@ -0,0 +1,175 @@
+// Number of price levels (or orders, for raw books) per side covered by the platform checksum
+const checksumDepth = 25;
+
+// CRC32 lookup table, used to verify the book against the platform checksum
+const crcTable = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(text) {
+  let crc = 0xffffffff;
+  for (const byte of Buffer.from(text)) {
+    crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) | 0; // The platform sends a signed 32 bit integer
+}
+
+/**
+ * OrderBook is a local L2 (or raw, R0) order book for a single trading pair,
+ * built from book channel snapshots & updates and kept sorted best price first.
+ *
+ * Aggregated books (P0 - P4) are keyed by price, rows are [price, count, amount].
+ * Raw books (R0) are keyed by order id, rows are [orderId, price, amount].
+ * Positive amounts are bids, negative amounts are asks.
+ */
+class OrderBook {
+  /**
+   * Creates an empty order book
+   * @constructor
+   * @param {string} symbol - The trading pair, e.g. tBTCUSD
+   * @param {string} prec - The book precision, P0 - P4 or R0 for a raw book
+   */
+  constructor(symbol, prec = "P0") {
+    this.symbol = symbol;
+    this.prec = prec;
+    this.raw = prec === "R0";
+    this.reset();
+  }
+
+  /**
+   * Clears the book, e.g. before applying a new snapshot
+   */
+  reset() {
+    this.entries = new Map(); // price (or order id) => entry
+    this.bids = []; // Sorted, highest price first
+    this.asks = []; // Sorted, lowest price first
+    this.synced = false;
+  }
+
+  /**
+   * Replaces the book contents with a snapshot
+   * @param {Array} rows - The snapshot rows
+   */
+  applySnapshot(rows) {
+    this.reset();
+    rows.forEach((row) => this.applyUpdate(row));
+    this.synced = true;
+  }
+
+  /**
+   * Applies a single book update, a count of 0 (or a price of 0 for raw books) removes the entry
+   * @param {Array} row - The update row
+   */
+  applyUpdate(row) {
+    const entry = this.raw
+      ? { id: row[0], price: row[1], amount: row[2] }
+      : { price: row[0], count: row[1], amount: row[2] };
+    const key = this.raw ? entry.id : entry.price;
+
+    if (this.entries.has(key)) this.remove(this.entries.get(key));
+    const deleted = this.raw ? entry.price === 0 : entry.count === 0;
+    if (!deleted) this.insert(key, entry);
+  }
+
+  bestBid() {
+    return this.bids[0];
+  }
+
+  bestAsk() {
+    return this.asks[0];
+  }
+
+  /**
+   * Returns the difference between the best ask and best bid price, or undefined if either side is empty
+   */
+  spread() {
+    if (!this.bids.length || !this.asks.length) return undefined;
+    return this.asks[0].price - this.bids[0].price;
+  }
+
+  midPrice() {
+    if (!this.bids.length || !this.asks.length) return undefined;
+    return (this.asks[0].price + this.bids[0].price) / 2;
+  }
+
+  /**
+   * Returns the top entries of each side of the book
+   * @param {number} levels - The number of entries per side, all entries are returned if not supplied
+   */
+  depth(levels = Infinity) {
+    return {
+      bids: this.bids.slice(0, levels),
+      asks: this.asks.slice(0, levels),
+    };
+  }
+
+  /**
+   * Returns the total (absolute) amount available on one side of the book, within the top entries
+   * @param {string} side - "bids" or "asks"
+   * @param {number} levels - The number of entries to include, all entries are included if not supplied
+   */
+  volume(side, levels = Infinity) {
+    return this[side]
+      .slice(0, levels)
+      .reduce((total, entry) => total + Math.abs(entry.amount), 0);
+  }
+
+  /**
+   * Calculates the platform checksum for the current book contents
+   */
+  checksum() {
+    const values = [];
+    for (let i = 0; i < checksumDepth; i++) {
+      [this.bids[i], this.asks[i]].forEach((entry) => {
+        if (entry) values.push(this.raw ? entry.id : entry.price, entry.amount);
+      });
+    }
+    return crc32(values.join(":"));
+  }
+
+  /**
+   * Compares the book against a checksum sent by the platform
+   * @param {number} checksum - The checksum value of a "cs" message
+   */
+  verify(checksum) {
+    return this.checksum() === checksum;
+  }
+
+  // Private sorted insertion & removal
+  insert(key, entry) {
+    const side = entry.amount > 0 ? this.bids : this.asks;
+    side.splice(this.findIndex(side, entry), 0, entry);
+    this.entries.set(key, entry);
+  }
+
+  remove(entry) {
+    const side = entry.amount > 0 ? this.bids : this.asks;
+    const index = this.findIndex(side, entry);
+    if (side[index] === entry) side.splice(index, 1);
+    else side.splice(side.indexOf(entry), 1);
+    this.entries.delete(this.raw ? entry.id : entry.price);
+  }
+
+  // Binary search for the position of an entry, best price first, then order id for raw books
+  findIndex(side, entry) {
+    const direction = side === this.bids ? -1 : 1;
+    let low = 0;
+    let high = side.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      const other = side[middle];
+      const order =
+        (other.price - entry.price) * direction ||
+        (this.raw ? other.id - entry.id : 0);
+      if (order < 0) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+}
+
+OrderBook.crc32 = crc32;
+
+module.exports = OrderBook;
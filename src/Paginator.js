@@ -0,0 +1,138 @@
+// Index of the timestamp used to page through V2 history rows, the first matching pattern is used
+const timestampIndexes = [
+  [/^v2\/auth\/r\/trades(\/[^/]+)?\/hist$/, 2], // MTS_CREATE
+  [/^v2\/auth\/r\/ledgers(\/[^/]+)?\/hist$/, 3], // MTS
+  [/^v2\/auth\/r\/orders(\/[^/]+)?\/hist$/, 4], // MTS_CREATE
+  [/^v2\/auth\/r\/movements(\/[^/]+)?\/hist$/, 5], // MTS_STARTED
+  [/^v2\/auth\/r\/positions\/hist$/, 13], // MTS_UPDATE
+  [/^v2\/auth\/r\/funding\/trades(\/[^/]+)?\/hist$/, 2], // MTS_CREATE
+  [/^v2\/auth\/r\/funding\/offers(\/[^/]+)?\/hist$/, 2], // MTS_CREATE
+  [/^v2\/auth\/r\/funding\/(loans|credits)(\/[^/]+)?\/hist$/, 3], // MTS_CREATE
+  [/^v2\/trades\/[^/]+\/hist$/, 1], // MTS
+  [/^v2\/candles\/[^/]+\/hist$/, 0], // MTS
+  [/^v2\/status\/[^/]+\/[^/]+\/hist$/, 0], // MTS
+];
+
+// Timestamp fields of typed models, see models.js
+const timestampFields = ["mtsCreate", "mts", "mtsUpdate"];
+
+/**
+ * Paginator walks a V2 history endpoint page by page over a time range, yielding rows as an async iterator.
+ * Each page is requested with the start / end of the range moved past the rows already received,
+ * rows sharing the boundary timestamp of two pages are only yielded once.
+ * Paging stops at an empty page, or at a page with fewer rows than the limit when one is set.
+ *
+ * Requests are sent through the ApiHelper, so rate limits, retries and typed responses apply.
+ */
+class Paginator {
+  /**
+   * Creates a paginator for a history endpoint
+   * @constructor
+   * @param {ApiHelper} helper - The ApiHelper used to send the requests
+   * @param {string} path - The history path, e.g. v2/auth/r/trades/hist, URL parameters are kept
+   * @param {object} params - { start, end, limit, sort, body, timestampIndex, maxPages }
+   */
+  constructor(helper, path, params = {}) {
+    const [route, args] = path.split("?");
+    this.helper = helper;
+    this.path = route.startsWith("/") ? route.substring(1) : route;
+    this.args = new URLSearchParams(args);
+    this.start = params.start !== undefined ? Number(params.start) : null;
+    this.end = params.end !== undefined ? Number(params.end) : null;
+    this.limit = params.limit;
+    this.sort = params.sort === 1 ? 1 : -1; // Newest first, as per the API default
+    this.body = params.body || {};
+    this.maxPages = params.maxPages || Infinity;
+    this.timestampIndex = params.timestampIndex;
+  }
+
+  async *[Symbol.asyncIterator]() {
+    let start = this.start;
+    let end = this.end;
+    let boundary = null; // Timestamp of the last row yielded
+    let boundaryRows = new Set(); // Rows yielded with the boundary timestamp
+
+    for (let page = 0; page < this.maxPages; page++) {
+      const rows = await this.fetchPage(start, end);
+      let yielded = 0;
+
+      for (const row of rows) {
+        const timestamp = this.getTimestamp(row);
+        const id = JSON.stringify(row);
+        if (timestamp === boundary && boundaryRows.has(id)) continue;
+        if (timestamp !== boundary) {
+          boundary = timestamp;
+          boundaryRows = new Set();
+        }
+        boundaryRows.add(id);
+        yielded++;
+        yield row;
+      }
+
+      // A page shorter than the limit holds the rest of the range
+      if (this.limit && rows.length < this.limit) return;
+      if (!yielded) {
+        // Only rows already yielded - either the range is exhausted, or a full page shares one timestamp,
+        // step past the timestamp to avoid requesting the same page forever
+        if (!rows.length || boundary === null) return;
+        boundary += this.sort === 1 ? 1 : -1;
+        boundaryRows = new Set();
+      }
+
+      if (this.sort === 1) start = boundary;
+      else end = boundary;
+      if (start !== null && end !== null && start > end) return;
+    }
+  }
+
+  /**
+   * Resolves with all rows of the range as a single array
+   */
+  async collect() {
+    const rows = [];
+    for await (const row of this) rows.push(row);
+    return rows;
+  }
+
+  // Private request handling
+  fetchPage(start, end) {
+    const args = new URLSearchParams(this.args);
+    if (start !== null) args.set("start", start);
+    if (end !== null) args.set("end", end);
+    if (this.limit) args.set("limit", this.limit);
+    args.set("sort", this.sort);
+
+    const authenticated = this.path.startsWith("v2/auth/");
+    return this.helper
+      .setContext(`${this.path}?${args.toString()}`, { ...this.body }, {})
+      .then((helper) =>
+        authenticated ? helper.sendPostRequest() : helper.sendGetRequest()
+      )
+      .then((helper) =>
+        Array.isArray(helper.response) ? helper.response : []
+      );
+  }
+
+  getTimestamp(row) {
+    if (Array.isArray(row)) {
+      if (this.timestampIndex === undefined)
+        this.timestampIndex = Paginator.getTimestampIndex(this.path);
+      return row[this.timestampIndex];
+    }
+    const field = timestampFields.find((name) => row[name] !== undefined);
+    return field ? row[field] : undefined;
+  }
+
+  /**
+   * Returns the index of the row timestamp for a history path
+   * @param {string} path - The history path
+   */
+  static getTimestampIndex(path) {
+    const match = timestampIndexes.find(([pattern]) => pattern.test(path));
+    if (!match)
+      throw `Unable to determine the timestamp of rows returned by ${path}, supply a timestampIndex.`;
+    return match[1];
+  }
+}
+
+module.exports = Paginator;
@@ -0,0 +1,192 @@
+// Per-endpoint REST limits (requests per minute), the first matching pattern is used
+// See: https://docs.bitfinex.com/docs/requirements-and-limitations#rest-rate-limits
+const defaultLimits = [
+  { name: "v2/platform/status", pattern: /^v2\/platform\/status/, limit: 30 },
+  { name: "v2/tickers/hist", pattern: /^v2\/tickers\/hist/, limit: 10 },
+  { name: "v2/tickers", pattern: /^v2\/tickers/, limit: 30 },
+  { name: "v2/ticker", pattern: /^v2\/ticker\//, limit: 90 },
+  { name: "v2/trades", pattern: /^v2\/trades\//, limit: 15 },
+  { name: "v2/book", pattern: /^v2\/book\//, limit: 90 },
+  { name: "v2/stats1", pattern: /^v2\/stats1\//, limit: 90 },
+  { name: "v2/candles", pattern: /^v2\/candles\//, limit: 30 },
+  { name: "v2/conf", pattern: /^v2\/conf\//, limit: 90 },
+  { name: "v2/status", pattern: /^v2\/status\//, limit: 90 },
+  { name: "v2/liquidations", pattern: /^v2\/liquidations\//, limit: 3 },
+  { name: "v2/rankings", pattern: /^v2\/rankings\//, limit: 90 },
+  { name: "v2/calc", pattern: /^v2\/calc\//, limit: 90 },
+  { name: "v2/auth", pattern: /^v2\/auth\//, limit: 90 },
+  { name: "v1/balances", pattern: /^v1\/balances/, limit: 20 },
+  { name: "v1/mytrades", pattern: /^v1\/mytrades/, limit: 45 },
+  { name: "v1", pattern: /^v1\//, limit: 60 },
+  { name: "v2", pattern: /./, limit: 90 },
+];
+
+// WebSocket connection limit (connections per minute)
+const defaultWsLimit = { name: "ws", limit: 20 };
+
+const interval = 60000;
+
+/**
+ * RateLimiter schedules requests so that each endpoint stays within the platform rate limits.
+ * Requests are queued per endpoint (bucket) and released in order as the sliding one minute window allows,
+ * buckets can be paused (backoff) when the platform reports a rate limit error.
+ *
+ * A single shared instance (RateLimiter.shared) is used by all ApiHelper instances in the process,
+ * as the platform limits apply per IP address.
+ */
+class RateLimiter {
+  /**
+   * Creates a rate limiter
+   * @constructor
+   * @param {Array} limits - Ordered REST limits: [{ name, pattern, limit }], limit is requests per minute
+   * @param {object} wsLimit - WebSocket connection limit: { name, limit }
+   */
+  constructor(limits = defaultLimits, wsLimit = defaultWsLimit) {
+    this.limits = limits;
+    this.wsLimit = wsLimit;
+    this.buckets = {};
+  }
+
+  /**
+   * Returns the bucket name for a REST path
+   * @param {string} path - The API path, without URL parameters
+   */
+  getBucketName(path) {
+    const match = this.limits.find(({ pattern }) => pattern.test(path));
+    return match ? match.name : path;
+  }
+
+  /**
+   * Returns the bucket name for WebSocket connections
+   */
+  getWsBucketName() {
+    return this.wsLimit.name;
+  }
+
+  /**
+   * Queues a task, the task is started once the bucket has capacity, resolves / rejects with the task result
+   * @param {string} name - The bucket name
+   * @param {function} task - A function that performs the request and returns a Promise
+   */
+  schedule(name, task) {
+    const bucket = this.getBucket(name);
+    return new Promise((resolve, reject) => {
+      bucket.queue.push({ task, resolve, reject, queuedAt: Date.now() });
+      this.drain(bucket);
+    });
+  }
+
+  /**
+   * Pauses a bucket, queued and new tasks are held until the backoff expires
+   * @param {string} name - The bucket name
+   * @param {number} durationInMs - The length of the pause
+   */
+  backoff(name, durationInMs) {
+    const bucket = this.getBucket(name);
+    bucket.pausedUntil = Math.max(
+      bucket.pausedUntil,
+      Date.now() + durationInMs
+    );
+    this.drain(bucket);
+  }
+
+  /**
+   * Returns the queue depth and expected wait time, in total and per bucket
+   */
+  getStats() {
+    const now = Date.now();
+    const buckets = {};
+    let queueDepth = 0;
+    Object.values(this.buckets).forEach((bucket) => {
+      this.prune(bucket, now);
+      queueDepth += bucket.queue.length;
+      buckets[bucket.name] = {
+        limit: bucket.limit,
+        sent: bucket.sent.length,
+        queued: bucket.queue.length,
+        waitTimeMs: this.getWaitTime(bucket, now),
+        oldestQueuedMs: bucket.queue.length
+          ? now - bucket.queue[0].queuedAt
+          : 0,
+        pausedForMs: Math.max(0, bucket.pausedUntil - now),
+      };
+    });
+    return { queueDepth, buckets };
+  }
+
+  // Private bucket handling
+  getBucket(name) {
+    if (!this.buckets[name]) {
+      const definition =
+        name === this.wsLimit.name
+          ? this.wsLimit
+          : this.limits.find((limit) => limit.name === name);
+      this.buckets[name] = {
+        name: name,
+        limit: definition ? definition.limit : defaultLimits.slice(-1)[0].limit,
+        sent: [], // Timestamps of tasks started within the window
+        queue: [],
+        pausedUntil: 0,
+        timer: null,
+      };
+    }
+    return this.buckets[name];
+  }
+
+  prune(bucket, now) {
+    while (bucket.sent.length && bucket.sent[0] <= now - interval)
+      bucket.sent.shift();
+  }
+
+  // Time in ms until the bucket can start another task
+  getWaitTime(bucket, now) {
+    const paused = Math.max(0, bucket.pausedUntil - now);
+    const windowFull =
+      bucket.sent.length >= bucket.limit
+        ? bucket.sent[bucket.sent.length - bucket.limit] + interval - now
+        : 0;
+    return Math.max(paused, windowFull);
+  }
+
+  drain(bucket) {
+    if (bucket.timer) {
+      clearTimeout(bucket.timer);
+      bucket.timer = null;
+    }
+
+    while (bucket.queue.length) {
+      const now = Date.now();
+      this.prune(bucket, now);
+      const wait = this.getWaitTime(bucket, now);
+      if (wait > 0) {
+        bucket.timer = setTimeout(() => this.drain(bucket), wait);
+        return;
+      }
+
+      const { task, resolve, reject } = bucket.queue.shift();
+      bucket.sent.push(now);
+      try {
+        Promise.resolve(task()).then(resolve, reject);
+      } catch (e) {
+        reject(e);
+      }
+    }
+  }
+}
+
+/**
+ * Determines if a response is a platform rate limit error: HTTP 429, ERR_RATE_LIMIT (V1) or error code 11010 (V2)
+ * @param {number} statusCode - The HTTP status code
+ * @param {any} body - The response body, raw or parsed
+ */
+RateLimiter.isRateLimitResponse = (statusCode, body) => {
+  if (statusCode === 429) return true;
+  if (Array.isArray(body)) return body[0] === "error" && body[1] === 11010;
+  const text = typeof body === "string" ? body : JSON.stringify(body || "");
+  return text.includes("ERR_RATE_LIMIT");
+};
+
+RateLimiter.defaultLimits = defaultLimits;
+RateLimiter.shared = new RateLimiter();
+
+module.exports = RateLimiter;
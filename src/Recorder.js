@@ -0,0 +1,132 @@
+const fs = require("fs"); // Append recorded traffic to file
+
+// Header & socket message fields holding credentials, replaced before they are written
+const secretHeaders = [
+  "bfx-apikey",
+  "bfx-signature",
+  "bfx-token",
+  "x-bfx-apikey",
+  "x-bfx-signature",
+  "x-bfx-payload",
+];
+const secretFields = ["apiKey", "authSig", "token"];
+const redacted = "[redacted]";
+
+/**
+ * Recorder appends REST & WebSocket traffic to a JSONL file, one entry per line, with credentials redacted.
+ * The recording can be fed back through ApiHelper with the replay option, see Replayer.
+ *
+ * Entries:
+ * - { type: "rest", time, method, path, pathArgs, url, request: { headers, body }, response: { statusCode, body }, error, startTime, endTime }
+ * - { type: "ws", time, connection, event: "connect" | "open" | "send" | "message" | "close" | "error", url, data }
+ */
+class Recorder {
+  /**
+   * Creates a recorder
+   * @constructor
+   * @param {string} path - The path of the JSONL file, entries are appended
+   */
+  constructor(path) {
+    this.path = path;
+    this.connections = 0;
+  }
+
+  /**
+   * Records a REST request and its response (or transport error)
+   * @param {object} entry - { method, path, pathArgs, url, request: { headers, body }, response: { statusCode, body }, error, startTime, endTime }
+   */
+  recordRequest(entry) {
+    this.write({
+      type: "rest",
+      ...entry,
+      request: {
+        ...entry.request,
+        headers: Recorder.redactHeaders(entry.request.headers),
+      },
+    });
+  }
+
+  /**
+   * Records the frames sent and received by a WebSocket
+   * @param {WebSocket} socket - The socket, before it is opened
+   * @param {string} url - The socket URL
+   * @param {function} wrap - Optional function (socket) => void wrapping send & emit, e.g. to attach middleware, see Middleware
+   */
+  recordSocket(socket, url, wrap = null) {
+    const connection = ++this.connections;
+    const record = (event, data) =>
+      this.write({ type: "ws", connection, event, data });
+
+    this.write({ type: "ws", connection, event: "connect", url });
+    socket.on("open", () => record("open"));
+    socket.on("close", (code) => record("close", code));
+    socket.on("error", (e) => record("error", e.message));
+
+    const send = socket.send.bind(socket);
+    socket.send = (data, ...args) => {
+      record("send", Recorder.redactMessage(data.toString()));
+      return send(data, ...args);
+    };
+
+    // Frames are recorded as they go over the network: sent frames after, received frames before the wrapper (e.g. middleware) sees them
+    if (wrap) wrap(socket);
+    const emit = socket.emit.bind(socket);
+    socket.emit = (event, data, ...args) => {
+      if (event === "message") record("message", data.toString());
+      return emit(event, data, ...args);
+    };
+  }
+
+  /**
+   * Returns the recorder appending to a file, recorders are shared per path
+   * @param {string} path - The recording file path
+   */
+  static forFile(path) {
+    if (!Recorder.fileRecorders[path])
+      Recorder.fileRecorders[path] = new Recorder(path);
+    return Recorder.fileRecorders[path];
+  }
+
+  /**
+   * Returns a copy of the headers with credentials replaced
+   * @param {object} headers - The request headers
+   */
+  static redactHeaders(headers = {}) {
+    const copy = { ...headers };
+    Object.keys(copy).forEach((name) => {
+      if (secretHeaders.includes(name.toLowerCase())) copy[name] = redacted;
+    });
+    return copy;
+  }
+
+  /**
+   * Returns a socket message with credentials replaced, e.g. the auth payload
+   * @param {string} data - The raw message
+   */
+  static redactMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      return data;
+    }
+    if (!message || Array.isArray(message) || typeof message !== "object")
+      return data;
+    secretFields.forEach((field) => {
+      if (message[field] !== undefined) message[field] = redacted;
+    });
+    return JSON.stringify(message);
+  }
+
+  // Private persistence
+  write(entry) {
+    fs.appendFileSync(
+      this.path,
+      `${JSON.stringify({ time: Date.now(), ...entry })}\n`
+    );
+  }
+}
+
+Recorder.fileRecorders = {};
+
+module.exports = Recorder;
@@ -0,0 +1,274 @@
+const EventEmitter = require("events"); // WebSocket interface of replayed connections
+const fs = require("fs"); // Read recordings
+
+// WebSocket ready states, see: https://github.com/websockets/ws/blob/master/doc/ws.md#ready-state-constants
+const states = { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 };
+
+// Index of the client order id (cid) in the order & trade arrays of account messages, see: https://docs.bitfinex.com/reference/ws-auth-orders
+const cidIndexes = { on: 2, ou: 2, oc: 2, os: 2, te: 11, tu: 11 };
+
+/**
+ * Replayer feeds a recording made with the record option back through ApiHelper, without network access.
+ *
+ * REST requests are answered with the next unused recorded response for the same method, path and URL parameters,
+ * so requests can be replayed in a different order than recorded, a request without a recorded response fails with a transport error.
+ *
+ * WebSocket connections are replayed in the order they were recorded: inbound frames are delivered with the recorded delays,
+ * and a recorded outbound frame holds back the frames after it until the client has sent a frame.
+ * Client order ids are generated from the clock, so the cids of recorded order commands are replaced with the cids the client sent
+ * in the order, notification & trade messages that follow.
+ */
+class Replayer {
+  /**
+   * Loads a recording
+   * @constructor
+   * @param {string} path - The path of the JSONL recording
+   */
+  constructor(path) {
+    this.path = path;
+    const entries = fs
+      .readFileSync(path, "utf8")
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+
+    this.requests = entries.filter((entry) => entry.type === "rest");
+    this.connections = []; // Recorded frames per connection, in order of connection
+    const connections = {};
+    entries
+      .filter((entry) => entry.type === "ws")
+      .forEach((entry) => {
+        if (!connections[entry.connection]) {
+          connections[entry.connection] = [];
+          this.connections.push(connections[entry.connection]);
+        }
+        connections[entry.connection].push(entry);
+      });
+  }
+
+  /**
+   * Answers a REST request with the recorded response, Replayer is used as the transport when replaying, see HttpTransport
+   * @param {object} request - { method, url, path }
+   */
+  send(request) {
+    const pathArgs = new URL(request.url).search.substring(1) || null;
+    const index = this.requests.findIndex(
+      (entry) =>
+        entry.method === request.method &&
+        entry.path === request.path &&
+        (entry.pathArgs || null) === pathArgs
+    );
+    if (index === -1) {
+      const error = new Error(
+        `No recorded response for ${request.method} ${request.path}${
+          pathArgs ? `?${pathArgs}` : ""
+        } in ${this.path}`
+      );
+      error.code = "EREPLAY";
+      return Promise.reject(error);
+    }
+
+    const [entry] = this.requests.splice(index, 1);
+    if (entry.error) {
+      const error = new Error(entry.error.message);
+      error.code = entry.error.code;
+      return Promise.reject(error);
+    }
+    const body = entry.response.body;
+    return Promise.resolve({
+      statusCode: entry.response.statusCode,
+      headers: {},
+      body: typeof body === "string" ? body : JSON.stringify(body), // Recordings made before 1.1.7 hold parsed V2 bodies
+    });
+  }
+
+  /**
+   * Returns a socket replaying the next recorded connection
+   * @param {string} url - The socket URL, unused - connections are replayed in order
+   */
+  createSocket(url) {
+    return new ReplaySocket(this.connections.shift() || null, this.path);
+  }
+
+  /**
+   * Returns true while recorded WebSocket connections are left, managed sockets stop reconnecting once they are used up
+   */
+  hasConnections() {
+    return this.connections.length > 0;
+  }
+
+  /**
+   * Returns the replayer for a recording, replayers are shared per path so recorded requests are only used once
+   * @param {string} path - The recording file path
+   */
+  static forFile(path) {
+    if (!Replayer.fileReplayers[path])
+      Replayer.fileReplayers[path] = new Replayer(path);
+    return Replayer.fileReplayers[path];
+  }
+}
+
+/**
+ * ReplaySocket offers the parts of the ws WebSocket interface used by ApiHelper & ManagedSocket:
+ * on* handlers, EventEmitter events, send, close, terminate and readyState
+ */
+class ReplaySocket extends EventEmitter {
+  constructor(frames, path) {
+    super();
+    this.frames = frames;
+    this.readyState = states.CONNECTING;
+    this.sent = 0; // Frames sent by the client, not yet matched with a recorded "send"
+    this.cids = new Map(); // Recorded cid => cid sent by the client
+    this.timer = null;
+
+    setImmediate(() => {
+      if (!this.frames) {
+        this.dispatch(
+          "error",
+          new Error(`No recorded WebSocket connection left in ${path}`)
+        );
+        return this.close();
+      }
+      this.last = this.frames.length ? this.frames[0].time : 0;
+      this.next();
+    });
+  }
+
+  send(data) {
+    if (this.readyState !== states.OPEN) return;
+    const recorded = this.frames.filter((frame) => frame.event === "send");
+    this.mapCids(data.toString(), recorded[this.sent]);
+    this.sent++;
+    if (!this.timer && this.frames.length && this.frames[0].event === "send")
+      this.next();
+  }
+
+  close() {
+    if (this.readyState === states.CLOSED) return;
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.readyState = states.CLOSED;
+    this.frames = [];
+    setImmediate(() => this.dispatch("close", 1000));
+  }
+
+  terminate() {
+    this.close();
+  }
+
+  // Private replay
+  next() {
+    this.timer = null;
+    while (this.frames.length && this.readyState !== states.CLOSED) {
+      const frame = this.frames[0];
+      if (frame.event === "send") {
+        if (!this.sent) return; // Wait for the client
+        this.sent--;
+        this.last = frame.time;
+        this.frames.shift();
+        continue;
+      }
+
+      const delay = Math.max(0, frame.time - this.last);
+      if (delay > 0) {
+        this.last = frame.time;
+        this.timer = setTimeout(() => this.next(), delay);
+        return;
+      }
+
+      this.frames.shift();
+      this.replay(frame);
+    }
+  }
+
+  replay(frame) {
+    switch (frame.event) {
+      case "open":
+        this.readyState = states.OPEN;
+        return this.dispatch("open");
+      case "message":
+        return this.dispatch("message", this.replaceCids(frame.data));
+      case "error":
+        return this.dispatch("error", new Error(frame.data));
+      case "close":
+        this.readyState = states.CLOSED;
+        this.frames = [];
+        return this.dispatch("close", frame.data);
+    }
+  }
+
+  // Maps the cids of a recorded order command to the cids of the command the client sent in its place
+  mapCids(data, frame) {
+    const sent = getCommandCids(data);
+    const recorded = frame ? getCommandCids(frame.data) : [];
+    recorded.forEach((cid, index) => {
+      if (cid !== undefined && sent[index] !== undefined)
+        this.cids.set(cid, sent[index]);
+    });
+  }
+
+  // Returns the received frame with recorded cids replaced, frames without a replaced cid are returned unchanged
+  replaceCids(data) {
+    if (!this.cids.size) return data;
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      return data;
+    }
+    if (!Array.isArray(message) || message[0] !== 0) return data;
+
+    // Notifications carry the order of the command in their info, e.g. [0, "n", [mts, "on-req", null, null, order, ...]]
+    const notification = message[1] === "n" && Array.isArray(message[2]);
+    const rows = notification ? message[2][4] : message[2];
+    const index = notification ? 2 : cidIndexes[message[1]];
+    if (index === undefined || !Array.isArray(rows)) return data;
+
+    let replaced = false;
+    (Array.isArray(rows[0]) ? rows : [rows]).forEach((row) => {
+      if (Array.isArray(row) && this.cids.has(row[index])) {
+        row[index] = this.cids.get(row[index]);
+        replaced = true;
+      }
+    });
+    return replaced ? JSON.stringify(message) : data;
+  }
+
+  // Emits the ws style event, an error is only emitted when handled
+  dispatch(event, data) {
+    if (event !== "error" || this.listenerCount("error") || this.onerror)
+      this.emit(event, data);
+  }
+
+  // Calls the on* handler with an event object, as ws does; handlers are called from emit so middleware applies to them
+  emit(event, data, ...args) {
+    const handler = this[`on${event}`];
+    if (typeof handler === "function") {
+      if (event === "message") handler({ data: data });
+      else if (event === "error") handler(data);
+      else handler({ code: data });
+    }
+    if (event === "error" && !this.listenerCount("error")) return true;
+    return super.emit(event, data, ...args);
+  }
+}
+
+// Returns the cids of an order command frame, e.g. [0, "on", null, { cid }], in order of the orders it holds
+function getCommandCids(data) {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (e) {
+    return [];
+  }
+  if (!Array.isArray(message) || message[0] !== 0 || !message[3]) return [];
+  const payloads =
+    message[1] === "ox_multi" && Array.isArray(message[3])
+      ? message[3].map((operation) => operation[1] || {})
+      : [message[3]];
+  return payloads.map((payload) => payload.cid);
+}
+
+Replayer.fileReplayers = {};
+
+module.exports = Replayer;
@@ -0,0 +1,442 @@
+const WebSocket = require("ws"); // WebSocket ready states
+const ApiError = require("./ApiError"); // Breaches are rejected as safety errors
+
+// Index of the last price in a V2 trading ticker, see: https://docs.bitfinex.com/reference/rest-public-ticker
+const tickerLastPriceIndex = 6;
+
+// Indexes of the amount & symbol in a V2 order, see: https://docs.bitfinex.com/reference/rest-auth-retrieve-orders
+const orderSymbolIndex = 3;
+const orderAmountIndex = 6;
+
+// Ledger entries of the daily loss, see: https://docs.bitfinex.com/reference/rest-auth-ledgers
+const ledgerLimit = 2500; // Maximum entries per page
+// Realised profit & loss: trading fees, margin positions closed or claimed, position funding costs & derivative settlements
+// Exchange trades only convert between currencies, deposits, withdrawals & transfers move funds, neither is a profit or loss
+const realisedLedgerEntry =
+  /^(trading fees\b|position\b.*\b(closed?|claim(ed)?|funding cost)\b|settlement\b)/i;
+
+// Input message types that place or change orders, checked against the limits
+const orderTypes = ["on", "ou"];
+
+/**
+ * SafetyGuard enforces trading limits on orders sent via REST (sendPostRequest), managed sockets and sockets from openSocket(),
+ * and offers a kill switch.
+ *
+ * Limits are read from the safety option, orders breaching them are rejected before they are sent:
+ * - maxOrderSize - Maximum absolute amount of an order, a number or { symbol: number }
+ * - maxNotional - Maximum absolute amount * price of an order, a number or { symbol: number }, orders without a price use the last traded price
+ * - maxOpenOrders - Maximum number of open orders, including the new ones
+ * - maxDailyLoss - Maximum loss in the lossCurrency (default USD) since the start of the day (UTC), new orders are rejected once reached.
+ *   The loss is the realised P/L of the currency's ledger entries since 00:00 UTC: trading fees, closed & claimed positions,
+ *   position funding costs and settlements. Exchange trades, deposits, withdrawals & transfers aren't counted.
+ *
+ * Open orders are taken from the account state of a managed socket when one is tracked, otherwise they are fetched via REST.
+ * Once the kill switch is engaged all orders are cancelled, and every write other than a cancellation is rejected until reset.
+ */
+class SafetyGuard {
+  /**
+   * Creates a guard with the kill switch released, one guard is shared by an ApiHelper instance, its contexts and managed sockets
+   * @constructor
+   */
+  constructor() {
+    this.killed = null; // Reason the kill switch was engaged
+    this.sockets = new Set(); // Managed sockets cancelled by the kill switch
+    this.rawSockets = new Map(); // Sockets from openSocket() => their unchecked send, cancelled by the kill switch
+    this.accountState = null;
+    this.pending = 0; // Orders that have passed the checks, awaiting a response
+    this.ledger = null; // { day, currency, start, ids, loss } - Ledger entries summed for the daily loss limit
+  }
+
+  /**
+   * Checks orders against the limits, resolves with a release function to call once the request has completed,
+   * rejects with an ApiError of type "safety" describing the breach
+   * @param {ApiHelper} helper - The ApiHelper (or context) used to fetch prices, open orders & balances when needed
+   * @param {string} type - The input message type: on, ou, oc, oc_multi, ox_multi
+   * @param {any} payload - The order, changes, or [[type, payload], ...] operations
+   * @param {object} limits - The safety option: { maxOrderSize, maxNotional, maxOpenOrders, maxDailyLoss, lossCurrency }
+   */
+  check(helper, type, payload, limits) {
+    const orders = getOrders(type, payload);
+    if (this.killed && orders.length)
+      return Promise.reject(this.getKillError());
+    if (!limits || !orders.length) return Promise.resolve(() => {});
+
+    // Orders are counted as pending while checked, so concurrent requests can't exceed maxOpenOrders together
+    const added = orders.filter((order) => order.op === "on").length;
+    let released = false;
+    const release = () => {
+      if (!released) this.pending -= added;
+      released = true;
+    };
+    this.pending += added;
+
+    return Promise.all(
+      orders.map((order) => this.checkOrder(helper, order, limits))
+    )
+      .then(() => this.checkOpenOrders(helper, added, limits))
+      .then(() => this.checkDailyLoss(helper, limits))
+      .then(
+        () => release,
+        (e) => {
+          release();
+          throw e;
+        }
+      );
+  }
+
+  /**
+   * Returns true if a write request is blocked by the kill switch, cancellations are never blocked
+   * @param {string} path - The REST path, e.g. v2/auth/w/order/submit
+   */
+  blocks(path) {
+    return !!this.killed && !/cancel(?!\/replace)/.test(path);
+  }
+
+  /**
+   * Returns the error blocked requests are rejected with while the kill switch is engaged
+   */
+  getKillError() {
+    return safetyError(
+      `Kill switch engaged (${this.killed}), call resetKillSwitch() to resume trading.`
+    );
+  }
+
+  /**
+   * Engages the kill switch: blocks further writes and cancels all orders via REST and on every open socket,
+   * resolves with the reason and the outcome of each cancellation once settled: { reason, rest, sockets }
+   * @param {ApiHelper} helper - The ApiHelper (or context) used to cancel orders via REST
+   * @param {string} reason - Optional reason, included in the rejection of blocked requests
+   */
+  kill(helper, reason = "manual") {
+    this.killed = reason;
+    const outcome = (promise) =>
+      promise.then(
+        () => ({ status: "SUCCESS" }),
+        (e) => ({ status: "ERROR", text: e.text || e.message || `${e}` })
+      );
+    const sockets = [...this.sockets].filter(
+      (socket) => socket.authenticate && socket.isOpen()
+    );
+    const rawSockets = [...this.rawSockets.keys()].filter(
+      (socket) => socket.readyState === WebSocket.OPEN
+    );
+
+    return Promise.all([
+      outcome(
+        helper
+          .setContext("v2/auth/w/order/cancel/multi", { all: 1 }, {})
+          .then((context) => context.sendPostRequest())
+      ),
+      ...sockets.map((socket) => outcome(socket.cancelMulti({ all: 1 }))),
+      ...rawSockets.map((socket) =>
+        outcome(this.cancelAll(socket, helper.options.commandTimeout))
+      ),
+    ]).then(([rest, ...sockets]) => ({ reason, rest, sockets }));
+  }
+
+  /**
+   * Releases the kill switch, writes are allowed again
+   */
+  reset() {
+    this.killed = null;
+  }
+
+  /**
+   * Uses an account state for open orders rather than fetching them via REST, see AccountState
+   * @param {AccountState} accountState - The account state of an authenticated managed socket
+   */
+  track(accountState) {
+    this.accountState = accountState;
+  }
+
+  /**
+   * Checks the order input messages sent on a socket from openSocket() against the limits & kill switch, as the managed socket does.
+   * Messages are held while orders are checked, so they are sent in order. An order message breaching a limit is dropped
+   * and answered with an ERROR notification, as the platform would reject it.
+   * @param {WebSocket} socket - The authenticated socket
+   * @param {ApiHelper} helper - The context that opened the socket, its safety option holds the limits
+   */
+  guard(socket, helper) {
+    const send = socket.send.bind(socket);
+    const timeout = helper.options.commandTimeout;
+    let queue = null; // Messages awaiting the orders sent before them
+    this.rawSockets.set(socket, send);
+    socket.on("close", () => this.rawSockets.delete(socket));
+
+    socket.send = (data, ...args) => {
+      const message = parseInputMessage(data);
+      const [, type, , payload] = message || [];
+      const checked = !!message && getOrders(type, payload).length > 0;
+      if (!checked && !queue) return send(data, ...args);
+
+      const sent = (queue || Promise.resolve()).then(() => {
+        if (!checked) return send(data, ...args);
+        return this.check(helper, type, payload, helper.options.safety).then(
+          (release) => {
+            this.awaitNotification(socket, type, timeout).then(
+              release,
+              release
+            );
+            send(data, ...args);
+          },
+          (e) => rejectInputMessage(socket, type, payload, e.message || e)
+        );
+      });
+      const settled = sent
+        .catch(() => {})
+        .then(() => {
+          if (queue === settled) queue = null;
+        });
+      queue = settled;
+    };
+  }
+
+  // Private socket registration, sockets are cancelled by the kill switch while open
+  register(socket) {
+    this.sockets.add(socket);
+  }
+
+  unregister(socket) {
+    this.sockets.delete(socket);
+    if (this.accountState && this.accountState.socket === socket)
+      this.accountState = null;
+  }
+
+  // Private socket messages
+  // Resolves with the notification answering an input message, rejects if none arrives within the timeout or the socket closes
+  awaitNotification(socket, type, timeout) {
+    return new Promise((resolve, reject) => {
+      const done = (settle, value) => {
+        clearTimeout(timer);
+        socket.removeListener("message", onMessage);
+        socket.removeListener("close", onClose);
+        settle(value);
+      };
+      const onMessage = (data) => {
+        const message = parseInputMessage(data);
+        const notification = message && message[1] === "n" && message[2];
+        if (Array.isArray(notification) && notification[1] === `${type}-req`)
+          done(notification[6] === "SUCCESS" ? resolve : reject, notification);
+      };
+      const onClose = () => done(reject, "WebSocket connection closed.");
+      const timer = setTimeout(
+        () => done(reject, `No response to "${type}" within ${timeout}ms.`),
+        timeout
+      );
+      socket.on("message", onMessage);
+      socket.on("close", onClose);
+    });
+  }
+
+  cancelAll(socket, timeout) {
+    const notification = this.awaitNotification(socket, "oc_multi", timeout);
+    this.rawSockets.get(socket)(
+      JSON.stringify([0, "oc_multi", null, { all: 1 }])
+    );
+    return notification.catch((e) => {
+      throw Array.isArray(e) ? e[7] : e; // The notification text
+    });
+  }
+
+  // Private limit checks
+  checkOrder(helper, order, limits) {
+    const open =
+      order.id !== undefined && (!order.symbol || order.amount === undefined)
+        ? this.getOpenOrder(helper, order.id)
+        : Promise.resolve(null);
+
+    return open.then((open) => {
+      const symbol = order.symbol || (open && open.symbol) || null;
+      const amount = getAmount(order, open);
+      const shown = order.amount !== undefined ? order.amount : amount;
+      const maxOrderSize = getLimit(limits.maxOrderSize, symbol);
+      if (amount !== null && maxOrderSize !== null && amount > maxOrderSize)
+        throw safetyError(
+          `Safety limit: amount ${shown} exceeds the maximum order size ${maxOrderSize}${forSymbol(
+            symbol
+          )}.`
+        );
+
+      const maxNotional = getLimit(limits.maxNotional, symbol);
+      if (amount === null || maxNotional === null) return;
+      const price =
+        order.price !== undefined && order.price !== null
+          ? Promise.resolve(Number(order.price))
+          : this.getLastPrice(helper, symbol);
+      return price.then((price) => {
+        if (amount * price > maxNotional)
+          throw safetyError(
+            `Safety limit: notional ${
+              amount * price
+            } exceeds the maximum notional ${maxNotional}${forSymbol(symbol)}.`
+          );
+      });
+    });
+  }
+
+  checkOpenOrders(helper, added, limits) {
+    if (!limits.maxOpenOrders || !added) return Promise.resolve();
+    return this.getOpenOrderCount(helper).then((count) => {
+      if (count + this.pending > limits.maxOpenOrders)
+        throw safetyError(
+          `Safety limit: ${
+            count + this.pending - added
+          } open orders, placing ${added} more exceeds the maximum of ${
+            limits.maxOpenOrders
+          }.`
+        );
+    });
+  }
+
+  checkDailyLoss(helper, limits) {
+    if (!limits.maxDailyLoss) return Promise.resolve();
+    const currency = limits.lossCurrency || "USD";
+    return this.getDailyLoss(helper, currency).then((loss) => {
+      if (loss >= limits.maxDailyLoss)
+        throw safetyError(
+          `Safety limit: daily loss of ${loss} ${currency} reached the maximum of ${limits.maxDailyLoss} ${currency}.`
+        );
+    });
+  }
+
+  // Private account data, from the tracked account state when synced, otherwise via REST
+  getOpenOrderCount(helper) {
+    if (this.accountState && this.accountState.synced)
+      return Promise.resolve(this.accountState.getOrders().length);
+    return request(helper, "v2/auth/r/orders", true).then(
+      (orders) => orders.length
+    );
+  }
+
+  // Resolves with { symbol, amount } of an open order, null if it isn't open
+  getOpenOrder(helper, id) {
+    if (this.accountState && this.accountState.synced) {
+      const order = this.accountState.getOrder(id);
+      return Promise.resolve(
+        order ? { symbol: order.symbol, amount: Number(order.amount) } : null
+      );
+    }
+    return request(helper, "v2/auth/r/orders", true, { id: [id] }).then(
+      ([order]) =>
+        order
+          ? {
+              symbol: order[orderSymbolIndex],
+              amount: Number(order[orderAmountIndex]),
+            }
+          : null
+    );
+  }
+
+  // Resolves with the realised loss since 00:00 UTC, ledger entries are fetched from the last one summed
+  getDailyLoss(helper, currency) {
+    const day = new Date().toISOString().substring(0, 10);
+    if (
+      !this.ledger ||
+      this.ledger.day !== day ||
+      this.ledger.currency !== currency
+    )
+      this.ledger = {
+        day,
+        currency,
+        start: Date.parse(day),
+        ids: new Set(),
+        loss: 0,
+      };
+    const ledger = this.ledger;
+
+    return helper
+      .collectPages(`v2/auth/r/ledgers/${currency}/hist`, {
+        start: ledger.start,
+        limit: ledgerLimit,
+        sort: 1,
+      })
+      .then((entries) => {
+        entries.forEach(([id, , , mts, , amount, , , description]) => {
+          if (ledger.ids.has(id)) return;
+          ledger.ids.add(id);
+          ledger.start = Math.max(ledger.start, mts);
+          if (realisedLedgerEntry.test(description || ""))
+            ledger.loss -= Number(amount);
+        });
+        return ledger.loss;
+      });
+  }
+
+  getLastPrice(helper, symbol) {
+    if (!symbol)
+      return Promise.reject(
+        safetyError(
+          "Safety limit: unable to check the notional of an order without a price or symbol."
+        )
+      );
+    return request(helper, `v2/ticker/${symbol}`, false).then(
+      (ticker) => ticker[tickerLastPriceIndex]
+    );
+  }
+}
+
+// Returns the orders placed or changed by an input message, as { op, ...order }
+function getOrders(type, payload) {
+  if (type === "ox_multi")
+    return (payload || []).flatMap(([opType, opPayload]) =>
+      getOrders(opType, opPayload)
+    );
+  return orderTypes.includes(type) ? [{ ...payload, op: type }] : [];
+}
+
+// Returns the absolute amount of an order once placed or updated, an update with a delta changes the amount of the open order
+function getAmount(order, open) {
+  if (order.amount !== undefined) return Math.abs(Number(order.amount));
+  if (order.delta === undefined) return null;
+  return Math.abs((open ? open.amount : 0) + Number(order.delta));
+}
+
+// A limit is a number applying to all symbols, or an object of per-symbol numbers
+function getLimit(limit, symbol) {
+  if (limit === null || limit === undefined) return null;
+  if (typeof limit === "number") return limit;
+  return symbol && limit[symbol] !== undefined ? limit[symbol] : null;
+}
+
+function forSymbol(symbol) {
+  return symbol ? ` for ${symbol}` : "";
+}
+
+function safetyError(message) {
+  return new ApiError(message, { type: "safety" });
+}
+
+// Returns a parsed socket message if it is an array, e.g. an input message [0, "on", null, order], otherwise null
+function parseInputMessage(data) {
+  try {
+    const message = JSON.parse(data.toString());
+    return Array.isArray(message) ? message : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Answers an input message that was not sent with an ERROR notification, delivered as a received message
+function rejectInputMessage(socket, type, payload, text) {
+  const info =
+    type === "ox_multi"
+      ? null
+      : [payload.id || null, payload.gid || null, payload.cid || null];
+  const notification = [Date.now(), `${type}-req`, null, null, info];
+  socket.emit(
+    "message",
+    JSON.stringify([0, "n", [...notification, null, "ERROR", text]])
+  );
+}
+
+// Sends a request on a new context, resolves with the raw (untyped) response
+function request(helper, path, authenticated, body = {}) {
+  return helper
+    .setContext(path, body, {})
+    .then((context) =>
+      authenticated ? context.sendPostRequest() : context.sendGetRequest()
+    )
+    .then((context) => context.rawResponse || context.response);
+}
+
+module.exports = SafetyGuard;
@@ -0,0 +1,314 @@
+const EventEmitter = require("events"); // Emit refresh failures to the consumer
+const fs = require("fs"); // Save & load offline snapshots
+const ApiError = require("./ApiError"); // Invalid orders reject with a validation error
+
+// Configuration keys fetched from v2/conf, see: https://docs.bitfinex.com/reference/rest-public-conf
+const confKeys = [
+  "pub:list:pair:exchange",
+  "pub:list:pair:margin",
+  "pub:list:currency",
+  "pub:info:pair",
+  "pub:info:pair:futures",
+];
+
+// Indexes of the pub:info:pair values: [PAIR, [, , , MIN_ORDER_SIZE, MAX_ORDER_SIZE, , , , INITIAL_MARGIN, MIN_MARGIN]]
+const minOrderSizeIndex = 3;
+const maxOrderSizeIndex = 4;
+const initialMarginIndex = 8;
+const minMarginIndex = 9;
+
+// Platform precision rules, see: https://docs.bitfinex.com/docs/introduction#price-precision
+const priceSignificantDigits = 5;
+const maxDecimals = 8;
+
+// Order fields holding prices / amounts, normalised before sending
+const priceFields = [
+  "price",
+  "price_aux_limit",
+  "price_trailing",
+  "price_oco_stop",
+];
+const amountFields = ["amount", "delta"];
+
+/**
+ * SymbolMetadata caches the platform configuration (trading pairs, currencies, min / max order sizes)
+ * and validates & normalises orders before they are sent, so they aren't rejected for precision, size or unknown pairs.
+ *
+ * The configuration is fetched from v2/conf on first use and refreshed once older than maxAge,
+ * it can be saved to and loaded from a snapshot file to work offline.
+ *
+ * Events:
+ * - "stale" (error, fetchedAt) - A refresh failed and the configuration fetched at fetchedAt is used, a warning is printed when unhandled
+ */
+class SymbolMetadata extends EventEmitter {
+  /**
+   * Creates an empty metadata cache, call load(), refresh() or loadSnapshot() to fill it
+   * @constructor
+   */
+  constructor() {
+    super();
+    this.pairs = {}; // Pair (e.g. BTCUSD) => { pair, symbol, exchange, margin, futures, minOrderSize, maxOrderSize, initialMargin, minMargin }
+    this.currencies = [];
+    this.fetchedAt = null;
+    this.loading = null;
+  }
+
+  /**
+   * Resolves once the configuration is available: loaded from the snapshot file if one is supplied and not yet loaded,
+   * fetched if missing or older than maxAge. Stale data is kept if a refresh fails.
+   * @param {ApiHelper} helper - The ApiHelper (or context) used to fetch the configuration
+   * @param {object} params - { snapshot: path of the snapshot file, maxAge: in ms, 0 to never refresh }
+   */
+  load(helper, params = {}) {
+    if (!this.fetchedAt && params.snapshot && fs.existsSync(params.snapshot))
+      this.loadSnapshot(params.snapshot);
+    const age = this.fetchedAt ? Date.now() - this.fetchedAt : Infinity;
+    if (age <= (params.maxAge || Infinity)) return Promise.resolve(this);
+
+    return this.refresh(helper, params.snapshot).catch((e) => {
+      if (!this.fetchedAt) throw e;
+      if (this.listenerCount("stale") > 0)
+        this.emit("stale", e, this.fetchedAt);
+      else
+        console.log(
+          `Warning - Unable to refresh symbol metadata, using data from ${new Date(
+            this.fetchedAt
+          ).toISOString()}: ${e.message || e}`
+        );
+      return this;
+    });
+  }
+
+  /**
+   * Fetches the configuration, resolves once it has been cached
+   * @param {ApiHelper} helper - The ApiHelper (or context) used to fetch the configuration
+   * @param {string} snapshot - Optional path of a snapshot file to save the configuration to
+   */
+  refresh(helper, snapshot = null) {
+    if (!this.loading)
+      this.loading = helper
+        .setContext(`v2/conf/${confKeys.join(",")}`, {}, {})
+        .then((context) => context.sendGetRequest())
+        .then((context) => {
+          this.loading = null;
+          this.apply(context.rawResponse || context.response, Date.now());
+          if (snapshot) this.saveSnapshot(snapshot);
+          return this;
+        })
+        .catch((e) => {
+          this.loading = null;
+          throw e;
+        });
+    return this.loading;
+  }
+
+  /**
+   * Saves the configuration to a JSON file, for offline use
+   * @param {string} path - The snapshot file path
+   */
+  saveSnapshot(path) {
+    fs.writeFileSync(
+      path,
+      JSON.stringify({
+        fetchedAt: this.fetchedAt,
+        pairs: this.pairs,
+        currencies: this.currencies,
+      })
+    );
+    return this;
+  }
+
+  /**
+   * Loads the configuration from a snapshot file
+   * @param {string} path - The snapshot file path
+   */
+  loadSnapshot(path) {
+    const snapshot = JSON.parse(fs.readFileSync(path, "utf8"));
+    this.pairs = snapshot.pairs || {};
+    this.currencies = snapshot.currencies || [];
+    this.fetchedAt = snapshot.fetchedAt || 0;
+    return this;
+  }
+
+  /**
+   * Returns the metadata of a trading pair, or null if the pair is unknown
+   * @param {string} symbol - The symbol (tBTCUSD) or pair (BTCUSD)
+   */
+  getPair(symbol) {
+    const pair =
+      symbol && symbol.startsWith("t") ? symbol.substring(1) : symbol;
+    return this.pairs[pair] || null;
+  }
+
+  /**
+   * Rounds a price to the platform precision: 5 significant digits, at most 8 decimals
+   * @param {number|string} price - The price
+   */
+  roundPrice(price) {
+    const rounded = Number(Number(price).toPrecision(priceSignificantDigits));
+    return formatNumber(Number(rounded.toFixed(maxDecimals)));
+  }
+
+  /**
+   * Truncates an amount to the platform precision: at most 8 decimals, rounded towards zero
+   * @param {number|string} amount - The amount
+   */
+  roundAmount(amount) {
+    const [integer, decimals = ""] = Number(amount)
+      .toFixed(maxDecimals + 2)
+      .split(".");
+    return formatNumber(
+      Number(`${integer}.${decimals.substring(0, maxDecimals)}`)
+    );
+  }
+
+  /**
+   * Returns the problems that would cause the platform to reject an order, an empty array if the order is valid
+   * Checks the symbol, amount (numeric, min & max order size) and price (numeric, precision)
+   * @param {object} order - The order, see: https://docs.bitfinex.com/reference/rest-auth-submit-order
+   */
+  validateOrder(order) {
+    const errors = [];
+    const pair = order.symbol !== undefined ? this.getPair(order.symbol) : null;
+    if (order.symbol !== undefined && !pair)
+      errors.push(`Unknown symbol ${order.symbol}.`);
+
+    amountFields
+      .filter((field) => order[field] !== undefined)
+      .forEach((field) => {
+        const amount = Number(order[field]);
+        if (!Number.isFinite(amount) || amount === 0)
+          return errors.push(`Invalid ${field} ${order[field]}.`);
+        if (decimalsOf(order[field]) > maxDecimals)
+          errors.push(
+            `${field} ${order[field]} has more than ${maxDecimals} decimals.`
+          );
+        if (field !== "amount" || !pair) return;
+        if (pair.minOrderSize !== null && Math.abs(amount) < pair.minOrderSize)
+          errors.push(
+            `Amount ${order.amount} is below the minimum order size ${pair.minOrderSize} for ${order.symbol}.`
+          );
+        if (pair.maxOrderSize !== null && Math.abs(amount) > pair.maxOrderSize)
+          errors.push(
+            `Amount ${order.amount} is above the maximum order size ${pair.maxOrderSize} for ${order.symbol}.`
+          );
+      });
+
+    priceFields
+      .filter((field) => order[field] !== undefined && order[field] !== null)
+      .forEach((field) => {
+        const price = Number(order[field]);
+        if (!Number.isFinite(price) || price < 0)
+          return errors.push(`Invalid ${field} ${order[field]}.`);
+        if (this.roundPrice(price) !== formatNumber(price))
+          errors.push(
+            `${field} ${order[field]} has more than ${priceSignificantDigits} significant digits or ${maxDecimals} decimals.`
+          );
+      });
+
+    return errors;
+  }
+
+  /**
+   * Returns a copy of the order with prices & amounts rounded to the platform precision (as strings)
+   * @param {object} order - The order
+   */
+  normaliseOrder(order) {
+    const normalised = { ...order };
+    priceFields
+      .filter((field) => isNumeric(order[field]))
+      .forEach((field) => (normalised[field] = this.roundPrice(order[field])));
+    amountFields
+      .filter((field) => isNumeric(order[field]))
+      .forEach((field) => (normalised[field] = this.roundAmount(order[field])));
+    return normalised;
+  }
+
+  /**
+   * Normalises and validates the orders of an order input message, returns the normalised payload
+   * or throws a validation ApiError, its errors holding the problems found
+   * @param {string} type - The input message type: on (new order), ou (update), ox_multi (batch of operations)
+   * @param {any} payload - The order, changes, or [[type, payload], ...] operations
+   */
+  prepareOrders(type, payload) {
+    if (type === "ox_multi")
+      return payload.map(([opType, opPayload]) => [
+        opType,
+        this.prepareOrders(opType, opPayload),
+      ]);
+    if (type !== "on" && type !== "ou") return payload;
+
+    const order = this.normaliseOrder(payload);
+    const errors = this.validateOrder(order);
+    if (errors.length)
+      throw new ApiError(`Invalid order: ${errors.join(" ")}`, {
+        type: "validation",
+        errors: errors,
+      });
+    return order;
+  }
+
+  // Private configuration parsing
+  apply(response, fetchedAt) {
+    const [
+      exchange = [],
+      margin = [],
+      currencies = [],
+      info = [],
+      futures = [],
+    ] = response;
+    const pairs = {};
+    const getPair = (name) => {
+      if (!pairs[name])
+        pairs[name] = {
+          pair: name,
+          symbol: `t${name}`,
+          exchange: false,
+          margin: false,
+          futures: false,
+          minOrderSize: null,
+          maxOrderSize: null,
+          initialMargin: null,
+          minMargin: null,
+        };
+      return pairs[name];
+    };
+
+    exchange.forEach((name) => (getPair(name).exchange = true));
+    margin.forEach((name) => (getPair(name).margin = true));
+    [...info, ...futures].forEach(([name, values = []]) => {
+      const pair = getPair(name);
+      if (futures.some(([futuresName]) => futuresName === name))
+        pair.futures = true;
+      pair.minOrderSize = toNumber(values[minOrderSizeIndex]);
+      pair.maxOrderSize = toNumber(values[maxOrderSizeIndex]);
+      pair.initialMargin = toNumber(values[initialMarginIndex]);
+      pair.minMargin = toNumber(values[minMarginIndex]);
+    });
+
+    this.pairs = pairs;
+    this.currencies = currencies;
+    this.fetchedAt = fetchedAt;
+  }
+}
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function isNumeric(value) {
+  return value !== null && value !== "" && Number.isFinite(Number(value));
+}
+
+function decimalsOf(value) {
+  const [, decimals = ""] = formatNumber(Number(value)).split(".");
+  return decimals.length;
+}
+
+// Formats a number without exponent notation or trailing zeros, e.g. 0.00001 rather than 1e-5
+function formatNumber(value) {
+  if (Number.isInteger(value)) return value.toString();
+  return value.toFixed(maxDecimals + 4).replace(/\.?0+$/, "");
+}
+
+module.exports = SymbolMetadata;
@@ -0,0 +1,321 @@
+const { parseArgs } = require("util"); // Parse command-line flags
+const readline = require("readline"); // Read input messages in interactive socket mode
+const ApiHelper = require("./ApiHelper");
+
+const v1PublicPattern =
+  /^v1\/(pubticker|stats|lendbook|book|trades|lends|symbols|symbols_details)(\/|$)/; // V1 endpoints sent as GET requests
+
+const outputFormats = ["json", "csv", "table"];
+
+const usage = `Usage:
+  bfx-api-helper <path> [body] [flags]   Send a REST request, e.g. bfx-api-helper v2/auth/r/wallets
+  bfx-api-helper socket [flags]          Open an authenticated WebSocket and send input messages interactively
+
+Flags:
+  -b, --body <json>          Request body, e.g. '{"id": 48513532021, "amount": "10"}'
+  -p, --profile <name>       Credentials profile to use
+  -c, --credentials <path>   Path to the credentials json (default: credentials.json)
+  -d, --defaults <path>      Path to the default options json (default: defaults.json)
+  -O, --options <json>       Per-request options, e.g. '{"baseRestUrl": "https://api-pub.bitfinex.com/"}'
+  -o, --output <format>      Output format: json, csv or table (default: json)
+  -t, --typed                Convert responses to named-field objects (typedResponses)
+  -v, --verbose              Print the raw request and response (verboseOutput)
+      --get / --post         Force the HTTP method, by default v2/auth/ & authenticated v1 paths are sent as POST
+      --public / --auth      Force an unauthenticated / authenticated request
+  -h, --help                 Print this message
+
+Socket mode input, one message per line:
+  [0, "oc", null, {"id": 48513532021}]    A raw JSON message
+  oc {"id": 48513532021}                  Shorthand for an input message: [0, type, null, payload]
+  exit                                    Close the socket`;
+
+const flags = {
+  body: { type: "string", short: "b" },
+  profile: { type: "string", short: "p" },
+  credentials: { type: "string", short: "c" },
+  defaults: { type: "string", short: "d" },
+  options: { type: "string", short: "O" },
+  output: { type: "string", short: "o", default: "json" },
+  typed: { type: "boolean", short: "t" },
+  verbose: { type: "boolean", short: "v" },
+  get: { type: "boolean" },
+  post: { type: "boolean" },
+  public: { type: "boolean" },
+  auth: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+/**
+ * Runs the command-line tool, resolves with the process exit code
+ * @param {Array} argv - The command-line arguments, without the node & script paths
+ */
+function run(argv) {
+  let args;
+  try {
+    args = parseCommand(argv);
+  } catch (e) {
+    console.error(`${e}\nRun bfx-api-helper --help for usage.`);
+    return Promise.resolve(1);
+  }
+  if (args.help || !args.path) {
+    console.log(usage);
+    return Promise.resolve(args.help ? 0 : 1);
+  }
+
+  const helper = new ApiHelper(
+    args.credentials,
+    !args.verbose,
+    args.defaults,
+    args.profile
+  );
+  const action =
+    args.path === "socket"
+      ? openSession(helper, args)
+      : sendRequest(helper, args);
+  return action.then(
+    () => 0,
+    (error) => {
+      console.error(describeError(error));
+      return 1;
+    }
+  );
+}
+
+/**
+ * Parses the command-line arguments, throws a message describing invalid arguments
+ * @param {Array} argv - The command-line arguments
+ */
+function parseCommand(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: flags, allowPositionals: true });
+  } catch (e) {
+    throw e.message;
+  }
+  const { values, positionals } = parsed;
+  if (positionals.length > 2)
+    throw `Unexpected argument: ${positionals.slice(2).join(" ")}`;
+  if (!outputFormats.includes(values.output))
+    throw `Unknown output format "${
+      values.output
+    }", expected one of: ${outputFormats.join(", ")}`;
+  if (values.get && values.post) throw "Use either --get or --post, not both.";
+  if (values.public && values.auth)
+    throw "Use either --public or --auth, not both.";
+
+  const options = parseJson(values.options, "options") || {};
+  if (values.profile) options.profile = values.profile;
+  if (values.verbose) options.verboseOutput = true;
+  if (values.typed) options.typedResponses = true;
+
+  return {
+    path: positionals[0],
+    body: parseJson(values.body || positionals[1], "body") || {},
+    options: options,
+    profile: values.profile || null,
+    credentials: values.credentials || "credentials.json",
+    defaults: values.defaults || "defaults.json",
+    output: values.output,
+    verbose: !!values.verbose,
+    help: !!values.help,
+    isPost: values.post ? true : values.get ? false : null,
+    authenticated: values.auth ? true : values.public ? false : null,
+  };
+}
+
+// Parses a JSON flag value, throws a message describing invalid JSON
+function parseJson(value, name) {
+  if (value === undefined) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    throw `Invalid ${name} JSON: ${e.message}`;
+  }
+}
+
+// Private REST mode
+function sendRequest(helper, args) {
+  const path = args.path.startsWith("/") ? args.path.substring(1) : args.path;
+  const isPost = args.isPost !== null ? args.isPost : !isPublicPath(path);
+  const authenticated =
+    args.authenticated !== null ? args.authenticated : isPost;
+
+  return helper
+    .setContext(path, args.body, args.options)
+    .then((context) =>
+      isPost
+        ? context.sendPostRequest(authenticated)
+        : context.sendGetRequest(authenticated)
+    )
+    .then((context) => console.log(format(context.response, args.output)));
+}
+
+// Public endpoints are sent as GET requests, see the API documentation
+function isPublicPath(path) {
+  if (path.startsWith("v1/")) return v1PublicPattern.test(path);
+  return !path.startsWith("v2/auth/");
+}
+
+// Private socket mode
+function openSession(helper, args) {
+  return helper.openSocket(args.options).then(
+    (socket) =>
+      new Promise((resolve) => {
+        const prompt = readline.createInterface({
+          input: process.stdin,
+          output: process.stdout,
+          prompt: "> ",
+        });
+        const print = (text) => {
+          readline.clearLine(process.stdout, 0);
+          readline.cursorTo(process.stdout, 0);
+          console.log(text);
+          prompt.prompt(true);
+        };
+
+        socket.onmessage = (msg) => {
+          const message = JSON.parse(msg.data);
+          const event = describeMessage(message);
+          if (event.type === "heartbeat" && !args.verbose) return;
+          print(
+            args.output === "json"
+              ? JSON.stringify(message)
+              : `[${event.type}]\n${format(event.data, args.output)}`
+          );
+        };
+        socket.onclose = () => {
+          readline.clearLine(process.stdout, 0);
+          readline.cursorTo(process.stdout, 0);
+          console.log("Socket closed.");
+          prompt.close();
+          resolve();
+        };
+
+        prompt.on("line", (line) => {
+          const input = line.trim();
+          if (["exit", "quit", ".exit"].includes(input)) return socket.close();
+          if (input) {
+            try {
+              socket.send(JSON.stringify(parseInputMessage(input)));
+            } catch (e) {
+              print(`Invalid message: ${e.message || e}`);
+            }
+          }
+          prompt.prompt();
+        });
+        prompt.on("close", () => socket.close());
+        prompt.prompt();
+      })
+  );
+}
+
+/**
+ * Parses a line typed in socket mode, either a raw JSON message or "<type> <json payload>"
+ * @param {string} input - The input line
+ */
+function parseInputMessage(input) {
+  if (input.startsWith("[") || input.startsWith("{")) return JSON.parse(input);
+  const [type, ...payload] = input.split(" ");
+  return [0, type, null, payload.length ? JSON.parse(payload.join(" ")) : {}];
+}
+
+/**
+ * Returns the type and data of a socket message:
+ * events ({ event }), heartbeats, account messages ([0, type, data]) and channel messages ([chanId, data])
+ * @param {any} message - The parsed socket message
+ */
+function describeMessage(message) {
+  if (!Array.isArray(message))
+    return { type: message.event || "message", data: message };
+  if (message[1] === "hb") return { type: "heartbeat", data: message };
+  if (message[0] === 0 && typeof message[1] === "string")
+    return { type: message[1], data: message[2] };
+  return { type: `channel ${message[0]}`, data: message[1] };
+}
+
+// Private output formatting
+function describeError(error) {
+  if (error && error.type)
+    return `Error (${error.type}${
+      error.code !== null ? ` ${error.code}` : ""
+    }): ${error.message}`;
+  return `Error: ${error && error.message ? error.message : error}`;
+}
+
+/**
+ * Formats a response as pretty JSON, CSV or an aligned table
+ * Arrays of rows (arrays or typed objects) are printed one row per line, single rows and objects as one line
+ * @param {any} data - The response
+ * @param {string} output - json, csv or table
+ */
+function format(data, output = "json") {
+  if (output === "json") return JSON.stringify(data, null, 2);
+  const { columns, rows } = toTable(data);
+  if (output === "csv")
+    return [columns, ...rows]
+      .filter((row) => row)
+      .map((row) => row.map(toCsvCell).join(","))
+      .join("\n");
+
+  const lines = columns ? [columns, ...rows] : rows;
+  const widths = [];
+  lines.forEach((line) =>
+    line.forEach(
+      (cell, i) => (widths[i] = Math.max(widths[i] || 0, cell.length))
+    )
+  );
+  return lines
+    .map((line) =>
+      line
+        .map((cell, i) => cell.padEnd(widths[i]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+// Returns { columns, rows } of strings, columns are only set for named-field (object) rows
+function toTable(data) {
+  let rows = [data];
+  if (Array.isArray(data) && data.length && data.every(isRow)) rows = data;
+  if (rows.every((row) => Array.isArray(row)))
+    return { columns: null, rows: rows.map((row) => row.map(toCell)) };
+  if (!rows.every(isRow)) return { columns: null, rows: [[toCell(data)]] };
+
+  const columns = [];
+  rows.forEach((row) =>
+    Object.keys(row).forEach(
+      (key) => !columns.includes(key) && columns.push(key)
+    )
+  );
+  return {
+    columns: columns,
+    rows: rows.map((row) =>
+      Array.isArray(row)
+        ? row.map(toCell)
+        : columns.map((column) => toCell(row[column]))
+    ),
+  };
+}
+
+function isRow(value) {
+  return value !== null && typeof value === "object";
+}
+
+function toCell(value) {
+  if (value === null || value === undefined) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function toCsvCell(cell) {
+  return /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+module.exports = {
+  run,
+  parseCommand,
+  parseInputMessage,
+  describeMessage,
+  format,
+  usage,
+};
@@ -0,0 +1,216 @@
+/**
+ * V2 REST endpoint catalogue
+ *
+ * Each entry describes an endpoint: its path (with {param} placeholders, {param?} for optional segments),
+ * HTTP verb, whether it requires authentication, and the body fields it requires.
+ * build() generates a method per entry of a namespace, e.g. helper.orders.update({ id, amount }) or helper.public.ticker("tBTCUSD"),
+ * the methods validate their input then flow through setContext / sendGetRequest / sendPostRequest.
+ */
+
+const get = (path, spec = {}) => ({ path, verb: "GET", auth: false, ...spec });
+const read = (path, spec = {}) => ({ path, verb: "POST", auth: true, ...spec });
+const write = (path, required = [], spec = {}) => ({
+  path,
+  verb: "POST",
+  auth: true,
+  required,
+  ...spec,
+});
+
+const catalogue = {
+  public: {
+    platformStatus: get("v2/platform/status"),
+    ticker: get("v2/ticker/{symbol}"),
+    tickers: get("v2/tickers", { required: ["symbols"] }),
+    tickersHistory: get("v2/tickers/hist", { required: ["symbols"] }),
+    trades: get("v2/trades/{symbol}/hist"),
+    book: get("v2/book/{symbol}/{precision}"),
+    stats: get("v2/stats1/{key}/{section}"),
+    candles: get("v2/candles/{candle}/{section}"),
+    config: get("v2/conf/{action}"),
+    derivativesStatus: get("v2/status/{type}"),
+    derivativesStatusHistory: get("v2/status/{type}/{key}/hist"),
+    liquidations: get("v2/liquidations/hist"),
+    leaderboards: get("v2/rankings/{key}/{section}"),
+    fundingStats: get("v2/funding/stats/{symbol}/hist"),
+    marketAveragePrice: get("v2/calc/trade/avg", {
+      verb: "POST",
+      required: ["symbol", "amount"],
+    }),
+    foreignExchangeRate: get("v2/calc/fx", {
+      verb: "POST",
+      required: ["ccy1", "ccy2"],
+    }),
+  },
+  wallets: {
+    list: read("v2/auth/r/wallets"),
+    availableBalance: read("v2/auth/calc/order/avail", {
+      required: ["symbol", "type"],
+    }),
+    movements: read("v2/auth/r/movements/{currency?}/hist"),
+    transfer: write("v2/auth/w/transfer", ["from", "to", "currency", "amount"]),
+    depositAddress: write("v2/auth/w/deposit/address", ["wallet", "method"]),
+    withdraw: write("v2/auth/w/withdraw", ["wallet", "method", "amount"]),
+  },
+  orders: {
+    list: read("v2/auth/r/orders/{symbol?}"),
+    history: read("v2/auth/r/orders/{symbol?}/hist"),
+    trades: read("v2/auth/r/order/{symbol}:{id}/trades"),
+    submit: write("v2/auth/w/order/submit", ["type", "symbol", "amount"]),
+    update: write("v2/auth/w/order/update", ["id"]),
+    cancel: write("v2/auth/w/order/cancel", [], {
+      requiredOneOf: [["id"], ["cid", "cid_date"]],
+    }),
+    cancelMulti: write("v2/auth/w/order/cancel/multi", [], {
+      requiredOneOf: [["id"], ["gid"], ["cid"], ["all"]],
+    }),
+    multi: write("v2/auth/w/order/multi", ["ops"]),
+  },
+  positions: {
+    list: read("v2/auth/r/positions"),
+    history: read("v2/auth/r/positions/hist"),
+    audit: read("v2/auth/r/positions/audit"),
+    claim: write("v2/auth/w/position/claim", ["id"]),
+    increase: write("v2/auth/w/position/increase", ["symbol", "amount"]),
+    setCollateral: write("v2/auth/w/deriv/collateral/set", [
+      "symbol",
+      "collateral",
+    ]),
+  },
+  account: {
+    info: read("v2/auth/r/info/user"),
+    summary: read("v2/auth/r/summary"),
+    marginInfo: read("v2/auth/r/info/margin/{key}"),
+    trades: read("v2/auth/r/trades/{symbol?}/hist"),
+    ledgers: read("v2/auth/r/ledgers/{currency?}/hist"),
+  },
+  funding: {
+    offers: read("v2/auth/r/funding/offers/{symbol?}"),
+    offersHistory: read("v2/auth/r/funding/offers/{symbol?}/hist"),
+    loans: read("v2/auth/r/funding/loans/{symbol?}"),
+    credits: read("v2/auth/r/funding/credits/{symbol?}"),
+    trades: read("v2/auth/r/funding/trades/{symbol?}/hist"),
+    submitOffer: write("v2/auth/w/funding/offer/submit", [
+      "type",
+      "symbol",
+      "amount",
+      "rate",
+      "period",
+    ]),
+    cancelOffer: write("v2/auth/w/funding/offer/cancel", ["id"]),
+    cancelAllOffers: write("v2/auth/w/funding/offer/cancel/all"),
+    close: write("v2/auth/w/funding/close", ["id"]),
+    autoRenew: write("v2/auth/w/funding/auto", ["status", "currency"]),
+  },
+};
+
+const placeholderPattern = /\/?\{(\w+)(\?)?\}/g;
+
+// Returns the placeholders of a path: [{ name, optional }]
+function getPathParams(path) {
+  return [...path.matchAll(placeholderPattern)].map((match) => ({
+    name: match[1],
+    optional: !!match[2],
+  }));
+}
+
+/**
+ * Resolves an endpoint call into a request, or throws a validation error message
+ * Arguments are path parameter values (in order), then an optional input object, then an optional options object.
+ * Input keys matching a path parameter fill the parameter, remaining keys are sent as the body (POST) or URL parameters (GET)
+ * @param {string} name - The endpoint name, used in error messages
+ * @param {object} endpoint - The catalogue entry
+ * @param {Array} args - The method arguments
+ */
+function resolve(name, endpoint, args) {
+  const pathParams = getPathParams(endpoint.path);
+  const values = {};
+  let index = 0;
+  while (
+    index < pathParams.length &&
+    index < args.length &&
+    ["string", "number"].includes(typeof args[index])
+  ) {
+    values[pathParams[index].name] = args[index];
+    index++;
+  }
+  const input = { ...(args[index] || {}) };
+  const options = args[index + 1] || {};
+
+  pathParams.forEach(({ name }) => {
+    if (values[name] === undefined && input[name] !== undefined)
+      values[name] = input[name];
+    delete input[name];
+  });
+
+  const missingParams = pathParams
+    .filter(({ name, optional }) => !optional && values[name] === undefined)
+    .map(({ name }) => name);
+  if (missingParams.length)
+    throw `Invalid request for ${name}: missing path parameter(s) ${missingParams.join(
+      ", "
+    )}.`;
+
+  const missingFields = (endpoint.required || []).filter(
+    (field) => input[field] === undefined || input[field] === null
+  );
+  if (missingFields.length)
+    throw `Invalid request for ${name}: missing required field(s) ${missingFields.join(
+      ", "
+    )}.`;
+
+  if (
+    endpoint.requiredOneOf &&
+    !endpoint.requiredOneOf.some((fields) =>
+      fields.every((field) => input[field] !== undefined)
+    )
+  )
+    throw `Invalid request for ${name}: one of ${endpoint.requiredOneOf
+      .map((fields) => fields.join(" + "))
+      .join(", ")} is required.`;
+
+  let path = endpoint.path.replace(placeholderPattern, (match, param) =>
+    values[param] === undefined ? "" : match.replace(/\{.*\}/, values[param])
+  );
+  let body = input;
+  if (endpoint.verb === "GET") {
+    const query = new URLSearchParams(input).toString();
+    if (query) path += `?${query}`;
+    body = {};
+  }
+  return { path, body, options };
+}
+
+/**
+ * Generates the endpoint methods of a namespace for an ApiHelper instance or context
+ * @param {ApiHelper} helper - The helper (or context) the requests are sent with, its options apply
+ * @param {string} namespace - The namespace, e.g. orders
+ */
+function build(helper, namespace) {
+  const methods = {};
+  Object.keys(catalogue[namespace]).forEach((method) => {
+    const endpoint = catalogue[namespace][method];
+    methods[method] = (...args) => {
+      let request;
+      try {
+        request = resolve(`${namespace}.${method}`, endpoint, args);
+      } catch (e) {
+        return Promise.reject(e);
+      }
+      // A native promise settled with the context, the helper may be the proxied instance whose results are already wrapped
+      return new Promise((resolve, reject) =>
+        helper
+          .setContext(request.path, request.body, request.options)
+          .then((context) =>
+            endpoint.verb === "GET"
+              ? context.sendGetRequest(endpoint.auth)
+              : context.sendPostRequest(endpoint.auth)
+          )
+          .then(resolve, reject)
+      );
+    };
+  });
+  return methods;
+}
+
+module.exports = { catalogue, build, resolve };
@@ -0,0 +1,10 @@
+const ApiHelper = require("bfx-api-helper")
+
+new ApiHelper()
+    .getCandleService({ cacheDir: "./candles" })
+    .then(candles => candles.load("tBTCUSD", "1m", Date.UTC(2024, 0, 1), Date.UTC(2024, 0, 8))
+        .then(oneMinute => {
+            console.log(`Loaded ${oneMinute.length} candles, ${candles.findGaps(oneMinute, "1m").length} gaps`)
+            candles.exportCsv(candles.resample(oneMinute, "1m", "1h"), "./tBTCUSD_1h.csv")
+        }))
+    .catch(r => console.log(r))
@@ -0,0 +1,16 @@
+const ApiHelper = require("bfx-api-helper")
+const MockServer = require("bfx-api-helper/src/MockServer")
+
+const mock = new MockServer()
+    .respond("v2/auth/r/wallets", [["exchange", "USD", 100, 0, 100, null, null]])
+    .respondWithError("v2/auth/w/order/submit", 10001, "Invalid order: not enough exchange balance")
+
+mock.listen()
+    .then(() => new ApiHelper(null, true)
+        .setContext("v2/auth/r/wallets", {}, mock.getOptions())
+        .sendPostRequest()
+        .printResponse()
+        .setContext("v2/auth/w/order/submit", { type: "EXCHANGE LIMIT", symbol: "tBTCUSD", amount: "1", price: "100" })
+        .sendPostRequest())
+    .catch(error => console.log(`${error.type} error: ${error.message}`))
+    .then(() => mock.close())
\ No newline at end of file
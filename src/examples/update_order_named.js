@@ -0,0 +1,7 @@
+const ApiHelper = require("bfx-api-helper")
+
+new ApiHelper()
+    .orders.update({ id: 48513532021, amount: "10" })
+    .printResponse()
+    .actOnResponse(response => console.log(`Your ${response[4][3]} order has been updated!`))
+    .catch(r => console.log(r))
\ No newline at end of file
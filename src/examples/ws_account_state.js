@@ -0,0 +1,10 @@
+const ApiHelper = require("bfx-api-helper")
+
+new ApiHelper()
+    .openManagedSocket()
+    .then(socket => {
+        const account = socket.getAccountState()
+        account.on("fill", trade => console.log(`Filled ${trade.amount} ${trade.symbol} @ ${trade.price}`))
+        account.on("resync", () => console.log(`Open orders: ${account.getOrders().length}, exchange USD: ${(account.getWallet("exchange", "USD") || {}).balance}`))
+    })
+    .catch(r => console.log(r))
\ No newline at end of file
@@ -0,0 +1,8 @@
+const ApiHelper = require("bfx-api-helper")
+
+new ApiHelper()
+    .openManagedSocket()
+    .subscribe("ticker", { symbol: "tBTCUSD" })
+    .on("ticker", (ticker, subscription) => console.log(`${subscription.params.symbol} last price is: ${ticker[6]}`))
+    .on("reconnecting", (attempt, delay) => console.log(`Connection lost - reconnecting in ${delay}ms (attempt ${attempt})`))
+    .catch(r => console.log(r))
\ No newline at end of file
@@ -0,0 +1,7 @@
+const ApiHelper = require("bfx-api-helper")
+
+new ApiHelper()
+    .openManagedSocket()
+    .updateOrder({ id: 48513532021, amount: "10" })
+    .then(result => console.log(`Your ${result.data[3]} order has been updated! (${result.text})`))
+    .catch(r => console.log(r))
\ No newline at end of file
@@ -0,0 +1,8 @@
+const ApiHelper = require("bfx-api-helper")
+
+new ApiHelper()
+    .openManagedSocket()
+    .getBookManager()
+    .subscribe("tBTCUSD", { prec: "P0", len: "25" })
+    .then(book => setInterval(() => console.log(`tBTCUSD best bid: ${book.bestBid().price}, best ask: ${book.bestAsk().price}, spread: ${book.spread()}`), 1000))
+    .catch(r => console.log(r))
\ No newline at end of file
@@ -0,0 +1,340 @@
+/**
+ * Typed response models
+ *
+ * Converts the positional arrays returned by V2 (REST & WebSocket) into named-field objects,
+ * and the objects returned by V1 into the same models where the data overlaps.
+ * Field lists follow the V2 documentation, null entries are placeholders and are skipped.
+ */
+
+const fields = {
+  order: [
+    "id",
+    "gid",
+    "cid",
+    "symbol",
+    "mtsCreate",
+    "mtsUpdate",
+    "amount",
+    "amountOrig",
+    "type",
+    "typePrev",
+    "mtsTif",
+    null,
+    "flags",
+    "status",
+    null,
+    null,
+    "price",
+    "priceAvg",
+    "priceTrailing",
+    "priceAuxLimit",
+    null,
+    null,
+    null,
+    "notify",
+    "hidden",
+    "placedId",
+    null,
+    null,
+    "routing",
+    null,
+    null,
+    "meta",
+  ],
+  position: [
+    "symbol",
+    "status",
+    "amount",
+    "basePrice",
+    "marginFunding",
+    "marginFundingType",
+    "pl",
+    "plPerc",
+    "priceLiq",
+    "leverage",
+    null,
+    "id",
+    "mtsCreate",
+    "mtsUpdate",
+    null,
+    "type",
+    null,
+    "collateral",
+    "collateralMin",
+    "meta",
+  ],
+  wallet: [
+    "type",
+    "currency",
+    "balance",
+    "unsettledInterest",
+    "available",
+    "lastChange",
+    "tradeDetails",
+  ],
+  trade: [
+    "id",
+    "symbol",
+    "mtsCreate",
+    "orderId",
+    "amount",
+    "price",
+    "orderType",
+    "orderPrice",
+    "maker",
+    "fee",
+    "feeCurrency",
+    "cid",
+  ],
+  publicTrade: ["id", "mtsCreate", "amount", "price"],
+  ticker: [
+    "bid",
+    "bidSize",
+    "ask",
+    "askSize",
+    "dailyChange",
+    "dailyChangeRelative",
+    "lastPrice",
+    "volume",
+    "high",
+    "low",
+  ],
+  fundingTicker: [
+    "frr",
+    "bid",
+    "bidPeriod",
+    "bidSize",
+    "ask",
+    "askPeriod",
+    "askSize",
+    "dailyChange",
+    "dailyChangeRelative",
+    "lastPrice",
+    "volume",
+    "high",
+    "low",
+    null,
+    null,
+    "frrAmountAvailable",
+  ],
+  candle: ["mts", "open", "close", "high", "low", "volume"],
+  notification: [
+    "mts",
+    "type",
+    "messageId",
+    null,
+    "info",
+    "code",
+    "status",
+    "text",
+  ],
+};
+
+// Converts a single positional row to an object using the named field list
+function toModel(name, row) {
+  if (!Array.isArray(row)) return row;
+  const model = {};
+  fields[name].forEach((field, index) => {
+    if (field) model[field] = row[index];
+  });
+  return model;
+}
+
+// Converts a row, or an array of rows, depending on the shape of the data
+function toModels(name, data) {
+  if (!Array.isArray(data)) return data;
+  return Array.isArray(data[0]) || data.length === 0
+    ? data.map((row) => toModel(name, row))
+    : toModel(name, data);
+}
+
+function ticker(row, symbol) {
+  return symbol && symbol.startsWith("f")
+    ? toModel("fundingTicker", row)
+    : toModel("ticker", row);
+}
+
+// Notification info is an order (or array of orders) for order requests
+function notification(row) {
+  const model = toModel("notification", row);
+  if (/^o[nuc](_multi)?-req$/.test(model.type))
+    model.info = toModels("order", model.info);
+  return model;
+}
+
+// V2 REST paths => model conversion
+const v2Paths = [
+  [/^v2\/auth\/r\/wallets$/, (data) => toModels("wallet", data)],
+  [
+    /^v2\/auth\/r\/orders(\/[^/]+)?(\/hist)?$/,
+    (data) => toModels("order", data),
+  ],
+  [/^v2\/auth\/r\/positions$/, (data) => toModels("position", data)],
+  [
+    /^v2\/auth\/r\/(trades(\/[^/]+)?\/hist|order\/[^/]+\/trades)$/,
+    (data) => toModels("trade", data),
+  ],
+  [/^v2\/auth\/w\/order\/(submit|update|cancel(\/multi)?)$/, notification],
+  [/^v2\/ticker\/([^/]+)$/, (data, match) => ticker(data, match[1])],
+  [
+    /^v2\/tickers$/,
+    (data) =>
+      data.map((row) => ({ symbol: row[0], ...ticker(row.slice(1), row[0]) })),
+  ],
+  [/^v2\/trades\/[^/]+\/hist$/, (data) => toModels("publicTrade", data)],
+  [/^v2\/candles\/[^/]+\/(last|hist)$/, (data) => toModels("candle", data)],
+];
+
+// V1 conversions, mapped onto the V2 models where the data overlaps
+const v1Symbol = (symbol) => `t${symbol.toUpperCase()}`;
+const v1Timestamp = (timestamp) => Math.round(parseFloat(timestamp) * 1000);
+
+function v1Wallet(balance) {
+  return {
+    type: balance.type,
+    currency: balance.currency.toUpperCase(),
+    balance: parseFloat(balance.amount),
+    available: parseFloat(balance.available),
+  };
+}
+
+function v1Order(order) {
+  const sign = order.side === "sell" ? -1 : 1;
+  return {
+    id: order.id,
+    cid: order.cid,
+    symbol: v1Symbol(order.symbol),
+    mtsCreate: v1Timestamp(order.timestamp),
+    amount: sign * parseFloat(order.remaining_amount),
+    amountOrig: sign * parseFloat(order.original_amount),
+    type: order.type,
+    status: order.is_live
+      ? "ACTIVE"
+      : order.is_cancelled
+      ? "CANCELED"
+      : "EXECUTED",
+    price: parseFloat(order.price),
+    priceAvg: parseFloat(order.avg_execution_price),
+    hidden: order.is_hidden,
+  };
+}
+
+function v1Position(position) {
+  return {
+    id: position.id,
+    symbol: v1Symbol(position.symbol),
+    status: position.status,
+    amount: parseFloat(position.amount),
+    basePrice: parseFloat(position.base),
+    marginFunding: parseFloat(position.swap),
+    pl: parseFloat(position.pl),
+    mtsCreate: v1Timestamp(position.timestamp),
+  };
+}
+
+function v1Trade(trade) {
+  const sign = trade.type === "Sell" ? -1 : 1;
+  return {
+    id: trade.tid,
+    mtsCreate: v1Timestamp(trade.timestamp),
+    orderId: trade.order_id,
+    amount: sign * parseFloat(trade.amount),
+    price: parseFloat(trade.price),
+    fee: parseFloat(trade.fee_amount),
+    feeCurrency: trade.fee_currency,
+  };
+}
+
+function v1Ticker(ticker) {
+  return {
+    bid: parseFloat(ticker.bid),
+    ask: parseFloat(ticker.ask),
+    lastPrice: parseFloat(ticker.last_price),
+    volume: parseFloat(ticker.volume),
+    high: parseFloat(ticker.high),
+    low: parseFloat(ticker.low),
+  };
+}
+
+const list = (convert) => (data) => data.map(convert);
+
+const v1Paths = [
+  [/^v1\/balances$/, list(v1Wallet)],
+  [/^v1\/order\/status$/, v1Order],
+  [/^v1\/orders(\/hist)?$/, list(v1Order)],
+  [/^v1\/positions$/, list(v1Position)],
+  [/^v1\/mytrades$/, list(v1Trade)],
+  [/^v1\/pubticker\/[^/]+$/, v1Ticker],
+];
+
+/**
+ * Converts a REST response to typed models, responses from unknown paths or error responses are returned unchanged
+ * @param {number} version - The API version, 1 or 2
+ * @param {string} path - The API path, without URL parameters
+ * @param {any} response - The parsed response body
+ */
+function fromResponse(version, path, response) {
+  if (!response || typeof response !== "object") return response;
+  if (Array.isArray(response) && response[0] === "error") return response;
+  if (version === 1 && !Array.isArray(response) && response.message)
+    return response;
+
+  for (const [pattern, convert] of version === 1 ? v1Paths : v2Paths) {
+    const match = path.match(pattern);
+    if (match) return convert(response, match);
+  }
+  return response;
+}
+
+// WebSocket authenticated channel message types => model
+const accountMessages = {
+  os: "order",
+  on: "order",
+  ou: "order",
+  oc: "order",
+  ps: "position",
+  pn: "position",
+  pu: "position",
+  pc: "position",
+  ws: "wallet",
+  wu: "wallet",
+  te: "trade",
+  tu: "trade",
+};
+
+/**
+ * Converts authenticated channel (0) data to typed models, unknown message types are returned unchanged
+ * @param {string} type - The message type, e.g. "ws", "on", "n"
+ * @param {Array} data - The message data
+ */
+function fromAccountMessage(type, data) {
+  if (type === "n") return notification(data);
+  return accountMessages[type] ? toModels(accountMessages[type], data) : data;
+}
+
+/**
+ * Converts public channel data to typed models, unknown channels (including book) are returned unchanged
+ * @param {object} subscription - The channel subscription, see ManagedSocket
+ * @param {Array} data - The channel data
+ */
+function fromChannelMessage(subscription, data) {
+  switch (subscription.channel) {
+    case "ticker":
+      return ticker(data, subscription.params.symbol);
+    case "trades":
+      return toModels("publicTrade", data);
+    case "candles":
+      return toModels("candle", data);
+    default:
+      return data;
+  }
+}
+
+module.exports = {
+  fields,
+  toModel,
+  toModels,
+  fromResponse,
+  fromAccountMessage,
+  fromChannelMessage,
+};
@@ -0,0 +1,89 @@
+const assert = require("node:assert"); // Assertions
+const { once } = require("node:events"); // Await socket & state events
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+describe("AccountState", () => {
+  const mock = new MockServer();
+  const helper = new ApiHelper(null, true, null);
+  let options;
+  let socket;
+
+  before(() =>
+    mock.listen().then(() => {
+      options = {
+        ...mock.getOptions(),
+        rateLimit: false,
+        heartbeatTimeout: 0,
+        reconnectDelay: 10,
+      };
+    })
+  );
+  after(() => mock.close());
+  afterEach(() => socket && socket.close());
+  beforeEach(() => {
+    mock.reset();
+    mock.respond("v2/auth/r/orders", [
+      MockServer.order({ id: 1, symbol: "tBTCUSD", amount: 1 }),
+    ]);
+    mock.respond("v2/auth/r/positions", []);
+    mock.respond("v2/auth/r/wallets", [["exchange", "USD", 100, 0, 100]]);
+  });
+
+  it("resyncs via REST and applies account messages", async () => {
+    socket = await helper.openManagedSocket(options);
+    const state = socket.getAccountState();
+    await once(state, "resync");
+    assert.deepStrictEqual(
+      state.getOrders().map((o) => o.id),
+      [1]
+    );
+
+    const changes = [];
+    state.on("change", (collection, item, action) =>
+      changes.push([collection, action])
+    );
+    mock.push("on", MockServer.order({ id: 2, symbol: "tETHUSD", amount: 2 }));
+    mock.push("oc", MockServer.order({ id: 1, symbol: "tBTCUSD", amount: 1 }));
+    mock.push("wu", ["exchange", "USD", 90, 0, 90]);
+    mock.push("te", [5, "tETHUSD", 1, 2, 2, 10, "LIMIT", 10, 1]);
+    await once(state, "fill");
+
+    assert.deepStrictEqual(changes, [
+      ["orders", "new"],
+      ["orders", "close"],
+      ["wallets", "update"],
+      ["fills", "executed"],
+    ]);
+    assert.deepStrictEqual(
+      state.getOrders().map((o) => o.id),
+      [2]
+    );
+    assert.strictEqual(state.getWallet("exchange", "USD").balance, 90);
+    assert.strictEqual(state.getFills("tETHUSD")[0].orderId, 2);
+  });
+
+  it("resyncs after reconnecting", async () => {
+    socket = await helper.openManagedSocket(options);
+    const state = socket.getAccountState();
+    await once(state, "resync");
+
+    mock.respond("v2/auth/r/orders", [
+      MockServer.order({ id: 3, symbol: "tBTCUSD", amount: 1 }),
+    ]);
+    mock.dropConnections();
+    await once(state, "resync");
+    assert.deepStrictEqual(
+      state.getOrders().map((o) => o.id),
+      [3]
+    );
+  });
+});
@@ -0,0 +1,62 @@
+const assert = require("node:assert"); // Assertions
+const { describe, it } = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+
+// Options of a request answered by a custom transport, without retries
+const options = {
+  key: "key",
+  secret: "secret",
+  maxRetries: 0,
+  transport: () => ({ statusCode: 200, body: "[]" }),
+};
+
+describe("ApiHelper requests", () => {
+  const helper = new ApiHelper(null, true, null);
+
+  [true, false].forEach((rateLimit) => {
+    describe(`with rateLimit ${rateLimit}`, () => {
+      const send = (body, overrides) =>
+        helper
+          .setContext("v2/auth/r/wallets", body, {
+            ...options,
+            rateLimit,
+            ...overrides,
+          })
+          .sendPostRequest();
+
+      it("resolves with the response", async () => {
+        const context = await send({});
+        assert.deepStrictEqual(context.response, []);
+      });
+
+      it("rejects with a nonce error when the nonce provider throws", async () => {
+        await assert.rejects(
+          async () =>
+            send(
+              {},
+              {
+                nonceProvider: () => {
+                  throw new Error("provider failed");
+                },
+              }
+            ),
+          { name: "ApiError", type: "nonce", message: "provider failed" }
+        );
+      });
+
+      it("rejects with a transport error when the transport returns nothing", async () => {
+        await assert.rejects(async () => send({}, { transport: () => {} }), {
+          name: "ApiError",
+          type: "transport",
+        });
+      });
+
+      it("rejects with a parse error when the body can't be serialised", async () => {
+        await assert.rejects(async () => send({ amount: 1n }), {
+          name: "ApiError",
+          type: "parse",
+        });
+      });
+    });
+  });
+});
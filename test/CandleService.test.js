@@ -0,0 +1,143 @@
+const assert = require("node:assert"); // Assertions
+const fs = require("fs"); // Cache directory
+const os = require("os"); // Temporary directory
+const path = require("path"); // Temporary file paths
+const { describe, it, before, after, beforeEach } = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+const start = Date.UTC(2024, 0, 1);
+const minute = 60000;
+
+// Candles of the first 10 minutes, without a trade in minute 2
+const market = [0, 1, 3, 4, 5, 6, 7, 8, 9].map((i) => [
+  start + i * minute,
+  1,
+  2,
+  3,
+  0.5,
+  10,
+]);
+
+// Answers a candles hist request with the candles of its start - end range, like the platform
+const candlesOf = (candles) => (request) => {
+  const { start, end, limit } = request.query;
+  return candles
+    .filter(([mts]) => mts >= Number(start) && mts <= Number(end))
+    .slice(0, Number(limit));
+};
+
+describe("CandleService", () => {
+  const mock = new MockServer();
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "bfx-candles-"));
+    return mock.listen();
+  });
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    return mock.close();
+  });
+  beforeEach(() => {
+    mock.reset();
+    mock.respond(/^v2\/candles\/trade:1m:tBTCUSD\/hist$/, candlesOf(market));
+  });
+
+  // Resolves with a candle service caching to a new directory
+  const getService = (params = {}) =>
+    new ApiHelper(null, true, null)
+      .setContext(
+        "v2/platform/status",
+        {},
+        {
+          ...mock.getOptions(),
+          rateLimit: false,
+        }
+      )
+      .getCandleService({
+        cacheDir: fs.mkdtempSync(path.join(directory, "cache-")),
+        ...params,
+      });
+
+  const requestedRanges = () =>
+    mock.requests
+      .filter((request) => request.path.startsWith("v2/candles/"))
+      .map(({ query }) => [
+        (query.start - start) / minute,
+        (query.end - start + 1) / minute,
+      ]);
+
+  it("resolves with the service through the exported class", async () => {
+    const candles = await getService();
+
+    const end = start + 5 * minute - 1;
+    const oneMinute = await candles.load("tBTCUSD", "1m", start, end);
+    assert.strictEqual(oneMinute.length, 4);
+
+    const gaps = candles.findGaps(oneMinute, "1m", start, end);
+    assert.ok(Array.isArray(gaps));
+    assert.deepStrictEqual(gaps, [
+      { start: start + 2 * minute, end: start + 3 * minute - 1, missing: 1 },
+    ]);
+    assert.ok(Array.isArray(candles.resample(oneMinute, "1m", "1h")));
+  });
+
+  it("downloads ranges in chunks and only the ranges missing from the cache", async () => {
+    const service = await getService({ chunkSize: 3 });
+
+    const first = await service.load(
+      "tBTCUSD",
+      "1m",
+      start,
+      start + 6 * minute - 1
+    );
+    assert.deepStrictEqual(
+      first.map(([mts]) => (mts - start) / minute),
+      [0, 1, 3, 4, 5]
+    );
+    assert.deepStrictEqual(requestedRanges(), [
+      [0, 3],
+      [3, 6],
+    ]);
+
+    mock.requests = [];
+    const second = await service.load(
+      "tBTCUSD",
+      "1m",
+      start + 4 * minute,
+      start + 10 * minute - 1
+    );
+    assert.deepStrictEqual(
+      second.map(([mts]) => (mts - start) / minute),
+      [4, 5, 6, 7, 8, 9]
+    );
+    assert.deepStrictEqual(requestedRanges(), [
+      [6, 9],
+      [9, 10],
+    ]);
+
+    mock.requests = [];
+    await service.load("tBTCUSD", "1m", start, start + 10 * minute - 1);
+    assert.deepStrictEqual(requestedRanges(), []);
+  });
+
+  it("keeps the 1m & 1M caches in separate files", async () => {
+    mock.respond(
+      /^v2\/candles\/trade:1M:tBTCUSD\/hist$/,
+      candlesOf([[start, 5, 6, 7, 4, 100]])
+    );
+    const service = await getService();
+
+    await service.load("tBTCUSD", "1m", start, start + 2 * minute - 1);
+    await service.load("tBTCUSD", "1M", start, Date.UTC(2024, 1, 1) - 1);
+    assert.deepStrictEqual(fs.readdirSync(service.cacheDir).sort(), [
+      "tBTCUSD_1m.json",
+      "tBTCUSD_1mo.json",
+    ]);
+    assert.strictEqual(service.getCached("tBTCUSD", "1m").length, 2);
+    assert.deepStrictEqual(service.getCached("tBTCUSD", "1M"), [
+      [start, 5, 6, 7, 4, 100],
+    ]);
+  });
+});
@@ -0,0 +1,121 @@
+const assert = require("node:assert"); // Assertions
+const fs = require("fs"); // Credential files
+const os = require("os"); // Temporary directory
+const path = require("path"); // Temporary file paths
+const { describe, it, before, after } = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const CredentialStore = require("../src/CredentialStore"); // The profile store under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+const base64 = (value) => Buffer.from(JSON.stringify(value)).toString("base64");
+
+describe("CredentialStore", () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "bfx-credentials-"));
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  // Writes a credentials file, returns its path
+  function writeFile(name, contents) {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, contents);
+    return file;
+  }
+
+  it("loads a legacy file as the default profile", () => {
+    const file = writeFile("legacy.json", '{"key": "k", "secret": "s"}\n');
+    const store = new CredentialStore().loadFile(file);
+    assert.deepStrictEqual(store.listProfiles(), ["default"]);
+    assert.deepStrictEqual(store.getProfile(), { key: "k", secret: "s" });
+  });
+
+  it("loads multi-profile files, plain or base64 encoded", () => {
+    const profiles = {
+      orders_user: { api_key: "k1", api_secret: "s1" },
+      reader: { apiKey: "k2", apiSecret: "s2" },
+      incomplete: { api_key: "k3" },
+    };
+    const plain = writeFile("plain.json", JSON.stringify(profiles));
+    const encoded = writeFile("encoded.txt", `${base64(profiles)}\n`);
+
+    [plain, encoded].forEach((file) => {
+      const store = new CredentialStore().loadFile(file);
+      assert.deepStrictEqual(store.profiles, {
+        orders_user: { key: "k1", secret: "s1" },
+        reader: { key: "k2", secret: "s2" },
+      });
+      assert.strictEqual(store.hasProfile("incomplete"), false);
+      assert.strictEqual(store.getProfile("unknown"), undefined);
+    });
+  });
+
+  it("loads profiles from environment variables", () => {
+    const store = new CredentialStore().loadEnvironment({
+      BFX_API_KEY: "k",
+      BFX_API_SECRET: "s",
+      BFX_ORDERS_USER_API_KEY: "k1",
+      BFX_ORDERS_USER_API_SECRET: "s1",
+      BFX_READER_API_KEY: "k2", // No secret, ignored
+      BFX_CREDENTIALS: base64({ blob: { key: "k3", secret: "s3" } }),
+      OTHER_API_KEY: "k4",
+      OTHER_API_SECRET: "s4",
+    });
+    assert.deepStrictEqual(store.profiles, {
+      blob: { key: "k3", secret: "s3" },
+      default: { key: "k", secret: "s" },
+      orders_user: { key: "k1", secret: "s1" },
+    });
+  });
+
+  it("gives environment variables precedence over files, and per-profile variables over BFX_CREDENTIALS", () => {
+    const file = writeFile(
+      "profiles.json",
+      JSON.stringify({
+        default: { key: "file", secret: "file" },
+        trading: { key: "file", secret: "file" },
+        reader: { key: "file", secret: "file" },
+      })
+    );
+    const store = new CredentialStore().loadFile(file).loadEnvironment({
+      BFX_CREDENTIALS: JSON.stringify({
+        trading: { key: "blob", secret: "blob" },
+        reader: { key: "blob", secret: "blob" },
+      }),
+      BFX_API_KEY: "env",
+      BFX_API_SECRET: "env",
+      BFX_TRADING_API_KEY: "env",
+      BFX_TRADING_API_SECRET: "env",
+    });
+    assert.deepStrictEqual(
+      ["default", "trading", "reader"].map(
+        (name) => store.getProfile(name).key
+      ),
+      ["env", "env", "blob"]
+    );
+  });
+
+  it("signs requests with the profile selected, environment variables first", async () => {
+    const mock = new MockServer({ credentials: [{ key: "env", secret: "s" }] });
+    await mock.listen();
+    const file = writeFile(
+      "helper.json",
+      JSON.stringify({ trading: { key: "file", secret: "file" } })
+    );
+    process.env.BFX_TRADING_API_KEY = "env";
+    process.env.BFX_TRADING_API_SECRET = "s";
+    try {
+      mock.respond("v2/auth/r/wallets", []);
+      const { baseRestUrl } = mock.getOptions();
+      await new ApiHelper(file, true, null, "trading")
+        .setContext("v2/auth/r/wallets", {}, { baseRestUrl, rateLimit: false })
+        .sendPostRequest();
+      assert.strictEqual(mock.requests[0].key, "env");
+    } finally {
+      delete process.env.BFX_TRADING_API_KEY;
+      delete process.env.BFX_TRADING_API_SECRET;
+      await mock.close();
+    }
+  });
+});
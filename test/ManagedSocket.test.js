@@ -0,0 +1,94 @@
+const assert = require("node:assert"); // Assertions
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+describe("ManagedSocket", () => {
+  const mock = new MockServer();
+  const helper = new ApiHelper(null, true, null);
+  let options;
+  let socket;
+
+  before(() =>
+    mock.listen().then(() => {
+      options = {
+        ...mock.getOptions(),
+        rateLimit: false,
+        autoReconnect: false,
+        heartbeatTimeout: 0,
+      };
+    })
+  );
+  after(() => mock.close());
+  afterEach(() => socket && socket.close());
+  beforeEach(() => mock.reset());
+
+  it("subscribes and emits channel data", async () => {
+    socket = await helper.openManagedSocket(options);
+    await socket.subscribe("ticker", { symbol: "tBTCUSD" });
+    const ticker = new Promise((resolve) =>
+      socket.once("ticker", (data, subscription, type) =>
+        resolve([data, subscription.params.symbol, type])
+      )
+    );
+    mock.publish("ticker", { symbol: "tBTCUSD" }, [1, 2, 3]);
+
+    assert.deepStrictEqual(await ticker, [[1, 2, 3], "tBTCUSD", "snapshot"]);
+  });
+
+  it("rejects the subscription named by an error", async () => {
+    mock.respondToSocket("subscribe", ({ event, ...params }, reply) => {
+      if (params.symbol === "tBADUSD")
+        return reply({ event: "error", code: 10300, msg: "fail", ...params });
+      reply({ event: "subscribed", chanId: 1, ...params });
+    });
+    socket = await helper.openManagedSocket(options);
+
+    const results = await Promise.allSettled([
+      socket.subscribe("ticker", { symbol: "tBTCUSD" }),
+      socket.subscribe("ticker", { symbol: "tBADUSD" }),
+    ]);
+    assert.deepStrictEqual(
+      results.map((result) => result.status),
+      ["fulfilled", "rejected"]
+    );
+    assert.strictEqual(
+      socket.subscriptions["ticker|symbol=tBADUSD"],
+      undefined
+    );
+  });
+
+  it("raises errors matching no subscription", async () => {
+    mock.respondToSocket("subscribe", () => {}); // Never confirmed
+    socket = await helper.openManagedSocket(options);
+    const subscribing = socket.subscribe("ticker", { symbol: "tBTCUSD" });
+    const error = new Promise((resolve) => socket.once("error", resolve));
+    mock.clients.forEach((client) =>
+      mock.send(client, { event: "error", code: 10000, msg: "unknown" })
+    );
+
+    assert.match(await error, /WebSocket error/);
+    assert.strictEqual(socket.pending.length, 1);
+    socket.close();
+    await assert.rejects(subscribing, /closed before subscribing/);
+  });
+
+  it("raises frames that aren't JSON as parse errors", async () => {
+    socket = await helper.openManagedSocket(options);
+    const error = new Promise((resolve) => socket.once("error", resolve));
+    mock.clients.forEach((client) => client.socket.send("<html>502</html>"));
+
+    assert.deepStrictEqual(
+      [(await error).type, (await error).message],
+      ["parse", "Unable to parse message: <html>502</html>"]
+    );
+    await socket.subscribe("ticker", { symbol: "tBTCUSD" });
+  });
+});
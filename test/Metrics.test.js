@@ -0,0 +1,137 @@
+const assert = require("node:assert"); // Assertions
+const { describe, it, before, after, beforeEach } = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const Metrics = require("../src/Metrics"); // The statistics collector under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+describe("Metrics", () => {
+  it("calculates nearest-rank latency percentiles and error rates", () => {
+    const metrics = new Metrics();
+    for (let latency = 100; latency >= 1; latency--)
+      metrics.recordRequest("v2/auth/r/wallets", latency, null, 0);
+    metrics.recordRequest("v2/auth/r/wallets", 50, { type: "timeout" }, 2);
+    metrics.recordCommand("on", 30, "SUCCESS");
+    metrics.recordCommand("on", 10, "TIMEOUT");
+
+    const { requests, commands } = metrics.getSnapshot();
+    const wallets = requests["v2/auth/r/wallets"];
+    assert.deepStrictEqual(wallets.latency, {
+      min: 1,
+      max: 100,
+      mean: 5100 / 101,
+      p50: 50,
+      p95: 95,
+      p99: 99,
+    });
+    assert.deepStrictEqual(
+      [wallets.count, wallets.errors, wallets.errorTypes, wallets.retries],
+      [101, 1, { timeout: 1 }, 2]
+    );
+    assert.strictEqual(wallets.perMinute, 101);
+    assert.deepStrictEqual(
+      [commands.on.errorRate, commands.on.latency.p50, commands.on.latency.p99],
+      [0.5, 10, 30]
+    );
+  });
+
+  it("exports histograms & counters in the Prometheus text format", () => {
+    const metrics = new Metrics();
+    metrics.recordRequest("v2/ticker/tBTCUSD", 20, null, 0);
+    metrics.recordRequest("v2/ticker/tBTCUSD", 300, { type: "server" }, 1);
+    metrics.recordCommand("oc", 2, "ERROR");
+
+    const lines = metrics.toPrometheus().split("\n");
+    const labels = 'endpoint="v2/ticker/tBTCUSD"';
+    [
+      "# HELP bfx_api_request_duration_seconds REST request latency by endpoint.",
+      "# TYPE bfx_api_request_duration_seconds histogram",
+      `bfx_api_request_duration_seconds_bucket{${labels},le="0.01"} 0`,
+      `bfx_api_request_duration_seconds_bucket{${labels},le="0.025"} 1`,
+      `bfx_api_request_duration_seconds_bucket{${labels},le="0.5"} 2`,
+      `bfx_api_request_duration_seconds_bucket{${labels},le="+Inf"} 2`,
+      `bfx_api_request_duration_seconds_sum{${labels}} 0.32`,
+      `bfx_api_request_duration_seconds_count{${labels}} 2`,
+      "# TYPE bfx_api_requests_total counter",
+      `bfx_api_requests_total{${labels},result="success"} 1`,
+      `bfx_api_requests_total{${labels},result="server"} 1`,
+      `bfx_api_request_retries_total{${labels}} 1`,
+      'bfx_api_ws_command_duration_seconds_bucket{type="oc",le="0.005"} 1',
+      'bfx_api_ws_commands_total{type="oc",result="success"} 0',
+      'bfx_api_ws_commands_total{type="oc",result="ERROR"} 1',
+    ].forEach((line) => assert.ok(lines.includes(line), line));
+    assert.strictEqual(lines[lines.length - 1], "");
+  });
+
+  it("passes periodic snapshots to a function sink until stopped", async () => {
+    const metrics = new Metrics();
+    metrics.recordCommand("on", 5, "SUCCESS");
+    const snapshots = [];
+    const keepAlive = setTimeout(() => {}, 1000); // The snapshot timer is unref'd
+    await new Promise((resolve) =>
+      metrics.startSnapshots((snapshot) => {
+        snapshots.push(snapshot);
+        if (snapshots.length === 2) resolve();
+      }, 5)
+    );
+    metrics.stopSnapshots();
+    clearTimeout(keepAlive);
+
+    assert.strictEqual(metrics.timer, null);
+    assert.strictEqual(snapshots[1].commands.on.count, 1);
+    assert.ok(snapshots[1].time >= snapshots[0].time);
+  });
+
+  describe("collection", () => {
+    const mock = new MockServer();
+    let options;
+
+    before(() =>
+      mock.listen().then(() => {
+        options = {
+          ...mock.getOptions(),
+          rateLimit: false,
+          autoReconnect: false,
+          heartbeatTimeout: 0,
+        };
+      })
+    );
+    after(() => mock.close());
+    beforeEach(() => {
+      mock.reset();
+      mock.respond("v2/auth/r/wallets", []);
+    });
+
+    // Sends a request and an order command, resolves with the snapshot
+    async function measure(performance) {
+      const helper = new ApiHelper(null, true, null);
+      await helper
+        .setContext("v2/auth/r/wallets", {}, { ...options, performance })
+        .sendPostRequest();
+      const socket = await helper.openManagedSocket({
+        ...options,
+        performance,
+      });
+      await socket.submitOrder({
+        type: "EXCHANGE LIMIT",
+        symbol: "tBTCUSD",
+        amount: "1",
+        price: "100",
+      });
+      socket.close();
+      return helper.getMetrics();
+    }
+
+    it("records requests & commands when the performance option is set", async () => {
+      const { requests, commands } = await measure(true);
+      assert.deepStrictEqual(Object.keys(requests), ["v2/auth/r/wallets"]);
+      assert.strictEqual(requests["v2/auth/r/wallets"].count, 1);
+      assert.deepStrictEqual(Object.keys(commands), ["on"]);
+      assert.strictEqual(commands.on.errors, 0);
+    });
+
+    it("records nothing without the performance option", async () => {
+      const { requests, commands } = await measure(false);
+      assert.deepStrictEqual([requests, commands], [{}, {}]);
+    });
+  });
+});
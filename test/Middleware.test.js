@@ -0,0 +1,108 @@
+const assert = require("node:assert"); // Assertions
+const { once } = require("node:events"); // Await socket events
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const Middleware = require("../src/Middleware"); // The pipeline under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+describe("Middleware socket hooks", () => {
+  const mock = new MockServer();
+  let options;
+  let socket;
+
+  before(() =>
+    mock.listen().then(() => {
+      options = {
+        ...mock.getOptions(),
+        rateLimit: false,
+        autoReconnect: false,
+        heartbeatTimeout: 0,
+      };
+    })
+  );
+  after(() => mock.close());
+  afterEach(() => socket && socket.close());
+  beforeEach(() => mock.reset());
+
+  it("raises a throwing socketMessage hook as an error and keeps the socket open", async () => {
+    const helper = new ApiHelper(null, true, null);
+    await helper.use({
+      socketMessage: (message) => {
+        const [, data] = Array.isArray(message) ? message : [];
+        if (Array.isArray(data) && data[0] === 13)
+          throw new Error("hook failed");
+      },
+    });
+    socket = await helper.openManagedSocket(options);
+    await socket.subscribe("ticker", { symbol: "tBTCUSD" });
+
+    const error = once(socket, "error");
+    mock.publish("ticker", { symbol: "tBTCUSD" }, [13]);
+    const [raised] = await error;
+    assert.strictEqual(raised.name, "ApiError");
+    assert.strictEqual(raised.type, "middleware");
+    assert.match(raised.message, /socketMessage hook failed: hook failed/);
+
+    const ticker = once(socket, "ticker");
+    mock.publish("ticker", { symbol: "tBTCUSD" }, [1, 2, 3]);
+    assert.deepStrictEqual((await ticker)[0], [1, 2, 3]);
+  });
+
+  it("drops the frame of a throwing socketSend hook", async () => {
+    const helper = new ApiHelper(null, true, null);
+    await helper.use({
+      socketSend: (message) => {
+        if (Array.isArray(message)) throw new Error("hook failed");
+      },
+    });
+    const received = [];
+    mock.on("message", (message) => received.push(message));
+    socket = await helper.openSocket(options);
+
+    const error = once(socket, "error");
+    socket.send(JSON.stringify([0, "on", null, { cid: 1, amount: "1" }]));
+    const [raised] = await error;
+    assert.strictEqual(raised.type, "middleware");
+    assert.deepStrictEqual(
+      received.filter((message) => Array.isArray(message)),
+      []
+    );
+  });
+
+  it("passes the error of a throwing socketSend hook to the send callback", async () => {
+    const helper = new ApiHelper(null, true, null);
+    await helper.use({
+      socketSend: (message) => {
+        if (Array.isArray(message)) throw new Error("hook failed");
+      },
+    });
+    socket = await helper.openSocket(options);
+    let emitted = false;
+    socket.on("error", () => (emitted = true));
+
+    const raised = await new Promise((resolve) =>
+      socket.send(JSON.stringify([0, "on", null, {}]), resolve)
+    );
+    assert.strictEqual(raised.type, "middleware");
+    assert.strictEqual(emitted, false);
+  });
+
+  it("refuses middleware with unknown hooks", async () => {
+    const misspelt = { onRequest: () => {} };
+    assert.throws(
+      () => new Middleware().use(misspelt),
+      /Unknown middleware hook\(s\) onRequest, expected request, response/
+    );
+    await assert.rejects(
+      async () => new ApiHelper(null, true, null).use(misspelt),
+      /Unknown middleware hook/
+    );
+  });
+});
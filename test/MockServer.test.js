@@ -0,0 +1,115 @@
+const assert = require("node:assert"); // Assertions
+const { describe, it, before, after, beforeEach } = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+describe("MockServer", () => {
+  const mock = new MockServer();
+  const helper = new ApiHelper(null, true, null);
+  let options;
+
+  before(() =>
+    mock.listen().then(() => {
+      options = { ...mock.getOptions(), rateLimit: false, maxRetries: 0 };
+    })
+  );
+  after(() => mock.close());
+  beforeEach(() => mock.reset());
+
+  it("verifies V2 signatures", async () => {
+    mock.respond("v2/auth/r/wallets", [["exchange", "USD", 100, 0, 100]]);
+    const context = await helper
+      .setContext("v2/auth/r/wallets", {}, options)
+      .sendPostRequest();
+
+    assert.deepStrictEqual(context.response, [
+      ["exchange", "USD", 100, 0, 100],
+    ]);
+    assert.strictEqual(mock.requests[0].authenticated, true);
+    assert.strictEqual(mock.requests[0].key, options.key);
+  });
+
+  it("verifies V1 signatures", async () => {
+    mock.respond("v1/balances", [{ type: "exchange", currency: "usd" }]);
+    const context = await helper
+      .setContext("v1/balances", {}, options)
+      .sendPostRequest();
+
+    assert.deepStrictEqual(context.response, [
+      { type: "exchange", currency: "usd" },
+    ]);
+    assert.strictEqual(mock.requests[0].version, 1);
+    assert.strictEqual(mock.requests[0].authenticated, true);
+  });
+
+  it("rejects requests signed with the wrong secret", async () => {
+    await assert.rejects(
+      async () =>
+        helper
+          .setContext("v2/auth/r/wallets", {}, { ...options, secret: "wrong" })
+          .sendPostRequest(),
+      { name: "ApiError", type: "api", code: 10100 }
+    );
+  });
+
+  it("rejects nonces that don't increase", async () => {
+    mock.respond("v2/auth/r/wallets", []);
+    await helper
+      .setContext("v2/auth/r/wallets", {}, options)
+      .sendPostRequest(true, 5);
+
+    await assert.rejects(
+      async () =>
+        helper
+          .setContext("v2/auth/r/wallets", {}, options)
+          .sendPostRequest(true, 5),
+      { type: "nonce", code: 10114 }
+    );
+  });
+
+  it("serves the most recent fixture until it is used up", async () => {
+    mock.respond("v2/ticker/tBTCUSD", [1]);
+    mock.respond("v2/ticker/tBTCUSD", [2], { times: 1 });
+    mock.respondWithError("v2/ticker/tETHUSD", 10020, "symbol: invalid", {
+      statusCode: 400,
+    });
+
+    const first = await helper
+      .setContext("v2/ticker/tBTCUSD", {}, options)
+      .sendGetRequest();
+    const second = await helper
+      .setContext("v2/ticker/tBTCUSD", {}, options)
+      .sendGetRequest();
+    assert.deepStrictEqual([first.response, second.response], [[2], [1]]);
+
+    await assert.rejects(
+      async () =>
+        helper.setContext("v2/ticker/tETHUSD", {}, options).sendGetRequest(),
+      { type: "api", statusCode: 400, message: "symbol: invalid" }
+    );
+  });
+
+  it("authenticates sockets and confirms input messages", async () => {
+    const socket = await helper.openSocket(options);
+    const notification = new Promise((resolve) =>
+      socket.on("message", (data) => {
+        const message = JSON.parse(data);
+        if (message[1] === "n") resolve(message[2]);
+      })
+    );
+    socket.send(JSON.stringify([0, "on", null, { cid: 7, amount: "1" }]));
+
+    const [, type, , , info, , status] = await notification;
+    assert.strictEqual(type, "on-req");
+    assert.strictEqual(status, "SUCCESS");
+    assert.strictEqual(info[2], 7);
+    socket.close();
+  });
+
+  it("fails socket authentication with the wrong secret", async () => {
+    await assert.rejects(
+      async () => helper.openSocket({ ...options, secret: "wrong" }),
+      /Socket authentication failed/
+    );
+  });
+});
@@ -0,0 +1,62 @@
+const assert = require("node:assert"); // Assertions
+const fs = require("fs"); // Nonce & lock files
+const os = require("os"); // Temporary directory
+const path = require("path"); // Temporary file paths
+const { describe, it, before, after } = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const NonceProvider = require("../src/NonceProvider"); // Strictly increasing nonces per API key
+
+describe("NonceProvider", () => {
+  let directory;
+
+  before(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "bfx-nonces-"));
+  });
+  after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  it("issues strictly increasing nonces per key", async () => {
+    const provider = new NonceProvider();
+    const nonces = await Promise.all([1, 2, 3].map(() => provider.next("k")));
+    assert.ok(BigInt(nonces[0]) < BigInt(nonces[1]));
+    assert.ok(BigInt(nonces[1]) < BigInt(nonces[2]));
+  });
+
+  it("shares nonces between providers via the nonce file", async () => {
+    const file = path.join(directory, "shared.json");
+    const first = new NonceProvider(file);
+    const second = new NonceProvider(file);
+    second.issue = (id, last) => last + 1; // A clock running behind
+
+    const nonce = await first.next("k");
+    assert.strictEqual(await second.next("k"), `${BigInt(nonce) + 1n}`);
+    assert.strictEqual(fs.existsSync(`${file}.lock`), false);
+  });
+
+  it("fails with a nonce error without blocking the event loop while the lock is held", async () => {
+    const file = path.join(directory, "locked.json");
+    fs.writeFileSync(`${file}.lock`, "");
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 10);
+
+    await assert.rejects(
+      async () =>
+        new ApiHelper(null, true, null)
+          .setContext(
+            "v2/auth/r/wallets",
+            {},
+            {
+              key: "key",
+              secret: "secret",
+              rateLimit: false,
+              maxRetries: 0,
+              nonceFile: file,
+              transport: () => ({ statusCode: 200, body: "[]" }),
+            }
+          )
+          .sendPostRequest(),
+      { name: "ApiError", type: "nonce", message: /Unable to acquire/ }
+    );
+    clearInterval(timer);
+    assert.ok(ticks > 50, `only ${ticks} timer ticks while waiting`);
+  });
+});
@@ -0,0 +1,203 @@
+const assert = require("node:assert"); // Assertions
+const { once } = require("node:events"); // Await book events
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+const OrderBook = require("../src/OrderBook"); // The local book under test
+
+// Aggregated book snapshot: [price, count, amount], bids 100 & 99, asks 101 & 102
+const snapshot = [
+  [100, 1, 2],
+  [99, 1, 1],
+  [101, 1, -3],
+  [102, 1, -1],
+];
+const snapshotChecksum = -558733326; // CRC32 of "100:2:101:-3:99:1:102:-1"
+
+const prices = (entries) => entries.map((entry) => entry.price);
+
+describe("OrderBook", () => {
+  it("applies snapshots, updates & deletions of aggregated books", () => {
+    const book = new OrderBook("tBTCUSD", "P1");
+    book.applySnapshot(snapshot);
+    assert.strictEqual(book.synced, true);
+    assert.deepStrictEqual(book.bestBid(), { price: 100, count: 1, amount: 2 });
+    assert.deepStrictEqual([book.spread(), book.midPrice()], [1, 100.5]);
+
+    book.applyUpdate([100, 3, 5]); // Changed level
+    book.applyUpdate([98, 1, 1]); // New level
+    book.applyUpdate([99, 0, 1]); // Deleted bid
+    book.applyUpdate([101, 0, -1]); // Deleted ask
+    const { bids, asks } = book.depth();
+    assert.deepStrictEqual([prices(bids), prices(asks)], [[100, 98], [102]]);
+    assert.deepStrictEqual(
+      [book.volume("bids"), book.volume("bids", 1), book.volume("asks")],
+      [6, 5, 1]
+    );
+
+    book.applySnapshot([[90, 1, 1]]);
+    assert.deepStrictEqual(prices(book.depth().bids), [90]);
+    assert.strictEqual(book.spread(), undefined);
+  });
+
+  it("applies snapshots, updates & deletions of raw books by order id", () => {
+    const book = new OrderBook("tBTCUSD", "R0");
+    book.applySnapshot([
+      [3, 100, 1],
+      [1, 100, 2],
+      [2, 101, -3],
+    ]);
+    assert.deepStrictEqual(
+      book.depth().bids.map((entry) => entry.id),
+      [1, 3]
+    );
+
+    book.applyUpdate([1, 99, 2]); // Moved order
+    book.applyUpdate([2, 0, -3]); // Deleted order
+    book.applyUpdate([4, 102, -1]); // New order
+    assert.deepStrictEqual(book.depth(), {
+      bids: [
+        { id: 3, price: 100, amount: 1 },
+        { id: 1, price: 99, amount: 2 },
+      ],
+      asks: [{ id: 4, price: 102, amount: -1 }],
+    });
+  });
+
+  it("verifies the platform CRC32 checksum", () => {
+    assert.strictEqual(OrderBook.crc32("123456789"), 0xcbf43926 | 0);
+
+    const book = new OrderBook("tBTCUSD");
+    book.applySnapshot(snapshot);
+    assert.strictEqual(book.checksum(), snapshotChecksum);
+    assert.strictEqual(book.verify(snapshotChecksum), true);
+    book.applyUpdate([102, 0, -1]);
+    assert.strictEqual(book.verify(snapshotChecksum), false);
+
+    const raw = new OrderBook("tBTCUSD", "R0");
+    raw.applySnapshot([
+      [1, 100, 2],
+      [2, 101, -3],
+    ]);
+    assert.strictEqual(raw.checksum(), 1850809218); // CRC32 of "1:2:2:-3", order ids instead of prices
+  });
+});
+
+describe("BookManager", () => {
+  const mock = new MockServer();
+  const helper = new ApiHelper(null, true, null);
+  let options;
+  let socket;
+
+  before(() =>
+    mock.listen().then(() => {
+      options = {
+        ...mock.getOptions(),
+        rateLimit: false,
+        autoReconnect: false,
+        heartbeatTimeout: 0,
+      };
+    })
+  );
+  after(() => mock.close());
+  afterEach(() => socket && socket.close());
+  beforeEach(() => {
+    mock.reset();
+    mock.removeAllListeners("subscribed");
+    mock.removeAllListeners("message");
+  });
+
+  // Publishes a snapshot on every new book subscription
+  function sendSnapshots(rows) {
+    mock.on("subscribed", ({ channel, symbol, prec }) => {
+      if (channel === "book") mock.publish("book", { symbol, prec }, rows);
+    });
+  }
+
+  it("maintains books from snapshots & updates, with checksums enabled", async () => {
+    const messages = [];
+    mock.on("message", (message) => messages.push(message));
+    sendSnapshots(snapshot);
+    socket = await helper.openManagedSocket(options);
+    const books = socket.getBookManager();
+
+    const book = await books.subscribe("tBTCUSD");
+    assert.strictEqual(books.getBook("tBTCUSD"), book);
+    assert.deepStrictEqual(prices(books.depth("tBTCUSD", 1).asks), [101]);
+    assert.ok(
+      messages.some((m) => m.event === "conf" && m.flags === 131072),
+      "checksum flag"
+    );
+
+    const updated = once(books, "update");
+    mock.publish("book", { symbol: "tBTCUSD" }, [101, 0, -1]);
+    await updated;
+    assert.strictEqual(books.bestAsk("tBTCUSD").price, 102);
+    assert.strictEqual(books.spread("tBTCUSD"), 2);
+
+    let resynced = false;
+    books.on("resync", () => (resynced = true));
+    const checked = once(socket, "book");
+    mock.publish("book", { symbol: "tBTCUSD" }, ["cs", book.checksum()]);
+    await checked;
+    assert.strictEqual(resynced, false);
+    assert.strictEqual(book.synced, true);
+  });
+
+  it("maintains raw books", async () => {
+    sendSnapshots([
+      [1, 100, 2],
+      [2, 101, -3],
+    ]);
+    socket = await helper.openManagedSocket(options);
+    const books = socket.getBookManager();
+
+    const book = await books.subscribe("tBTCUSD", { prec: "R0" });
+    assert.strictEqual(books.getBook("tBTCUSD", "R0"), book);
+    assert.strictEqual(books.getBook("tBTCUSD"), undefined);
+
+    const updated = once(books, "update");
+    mock.publish("book", { symbol: "tBTCUSD", prec: "R0" }, [3, 100.5, 1]);
+    await updated;
+    assert.deepStrictEqual(books.bestBid("tBTCUSD", "R0"), {
+      id: 3,
+      price: 100.5,
+      amount: 1,
+    });
+  });
+
+  it("resyncs a book on a checksum mismatch", async () => {
+    const subscribed = [];
+    mock.on("subscribed", (subscription) => subscribed.push(subscription));
+    sendSnapshots(snapshot);
+    socket = await helper.openManagedSocket(options);
+    const books = socket.getBookManager();
+    const book = await books.subscribe("tBTCUSD");
+
+    const resync = once(books, "resync");
+    mock.publish("book", { symbol: "tBTCUSD" }, ["cs", snapshotChecksum + 1]);
+    const [resynced, subscription] = await resync;
+    assert.strictEqual(resynced, book);
+    assert.strictEqual(subscription.params.symbol, "tBTCUSD");
+    assert.strictEqual(book.synced, false);
+
+    await once(books, "update"); // The snapshot of the new subscription
+    assert.strictEqual(book.synced, true);
+    assert.strictEqual(book.checksum(), snapshotChecksum);
+    assert.deepStrictEqual(
+      subscribed.map((s) => [s.channel, s.symbol]),
+      [
+        ["book", "tBTCUSD"],
+        ["book", "tBTCUSD"],
+      ]
+    );
+    assert.notStrictEqual(subscribed[1].chanId, subscribed[0].chanId);
+  });
+});
@@ -0,0 +1,64 @@
+const assert = require("node:assert"); // Assertions
+const { describe, it, before, after, beforeEach } = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+// One candle per minute, answers candle history requests as the platform does: start / end inclusive, limit, sort
+const candles = Array.from({ length: 250 }, (_, i) => [
+  i * 60000,
+  1,
+  1,
+  1,
+  1,
+  1,
+]);
+function history(request) {
+  const { start = 0, end = Infinity, limit = 120, sort = -1 } = request.query;
+  const rows = candles.filter(
+    ([mts]) => mts >= Number(start) && mts <= Number(end)
+  );
+  if (Number(sort) !== 1) rows.reverse();
+  return rows.slice(0, Number(limit));
+}
+
+describe("Paginator", () => {
+  const mock = new MockServer();
+  const helper = new ApiHelper(null, true, null);
+  const path = "v2/candles/trade:1m:tBTCUSD/hist";
+  let options;
+
+  before(() =>
+    mock.listen().then(() => {
+      options = { ...mock.getOptions(), rateLimit: false };
+    })
+  );
+  after(() => mock.close());
+  beforeEach(() => {
+    mock.reset();
+    mock.respond(path, history);
+  });
+
+  [1, -1].forEach((sort) =>
+    it(`stops at a page shorter than the limit (sort ${sort})`, async () => {
+      const rows = await helper
+        .setContext(path, {}, options)
+        .collectPages(path, {
+          start: 0,
+          end: candles[candles.length - 1][0],
+          limit: 100,
+          sort,
+        });
+      assert.strictEqual(rows.length, 250);
+      assert.strictEqual(new Set(rows.map(([mts]) => mts)).size, 250);
+      assert.strictEqual(mock.requests.length, 3);
+    })
+  );
+
+  it("pages until an empty page without a limit", async () => {
+    const rows = await helper
+      .setContext(path, {}, options)
+      .collectPages(path, { start: 0, sort: 1 });
+    assert.strictEqual(rows.length, 250);
+    assert.deepStrictEqual(history(mock.requests.pop()), []); // The last page was empty
+  });
+});
@@ -0,0 +1,81 @@
+const assert = require("node:assert"); // Assertions
+const { once } = require("node:events"); // Await socket events
+const fs = require("fs"); // Recording files
+const os = require("os"); // Temporary directory
+const path = require("path"); // Temporary file paths
+const { setTimeout: delay } = require("node:timers/promises"); // Let the clock move on between recording & replay
+const { describe, it, before, after, afterEach } = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+const order = {
+  type: "EXCHANGE LIMIT",
+  symbol: "tBTCUSD",
+  amount: "1",
+  price: "100",
+};
+
+describe("Replayer", () => {
+  const mock = new MockServer();
+  let directory;
+  let recording;
+  let recordedCid;
+  let socket;
+
+  // Records a connection submitting an order, closed by the client
+  before(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), "bfx-replay-"));
+    recording = path.join(directory, "recording.jsonl");
+    await mock.listen();
+    const recorded = await new ApiHelper(null, true, null).openManagedSocket({
+      ...mock.getOptions(),
+      rateLimit: false,
+      heartbeatTimeout: 0,
+      record: recording,
+    });
+    recordedCid = (await recorded.submitOrder(order)).data[2];
+    const closed = once(recorded, "close");
+    await recorded.close();
+    await closed;
+  });
+  after(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    return mock.close();
+  });
+  afterEach(() => socket && socket.close());
+
+  // Opens a managed socket replaying a copy of the recording
+  function replay(name) {
+    const copy = path.join(directory, `${name}.jsonl`);
+    fs.copyFileSync(recording, copy);
+    return new ApiHelper(null, true, null).openManagedSocket({
+      key: "key",
+      secret: "secret",
+      rateLimit: false,
+      heartbeatTimeout: 0,
+      reconnectDelay: 10,
+      replay: copy,
+    });
+  }
+
+  it("answers order commands sent with a different cid", async () => {
+    await delay(5);
+    socket = await replay("cids");
+    const result = await socket.submitOrder(order);
+    assert.strictEqual(result.status, "SUCCESS");
+    assert.notStrictEqual(result.data[2], recordedCid);
+    assert.strictEqual(result.data[2], socket.lastCid);
+  });
+
+  it("stops reconnecting once the recorded connections are used up", async () => {
+    socket = await replay("exhausted");
+    let reconnects = 0;
+    socket.on("reconnecting", () => reconnects++);
+    socket.on("error", () => {});
+    const closed = once(socket, "close");
+    await socket.submitOrder(order);
+    await closed;
+    await delay(100);
+    assert.strictEqual(reconnects, 0);
+  });
+});
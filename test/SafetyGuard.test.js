@@ -0,0 +1,199 @@
+const assert = require("node:assert"); // Assertions
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const ApiError = require("../src/ApiError"); // Safety rejections
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+function ledgerEntry(id, amount, description) {
+  return [id, "USD", null, Date.now(), null, amount, 0, null, description];
+}
+
+// Resolves with the next notification received on a raw socket
+function nextNotification(socket) {
+  return new Promise((resolve) => {
+    const onMessage = (data) => {
+      const message = JSON.parse(data);
+      if (message[1] !== "n") return;
+      socket.removeListener("message", onMessage);
+      resolve(message[2]);
+    };
+    socket.on("message", onMessage);
+  });
+}
+
+describe("SafetyGuard", () => {
+  const mock = new MockServer();
+  let options;
+  let socket;
+
+  before(() =>
+    mock.listen().then(() => {
+      options = { ...mock.getOptions(), rateLimit: false, maxRetries: 0 };
+    })
+  );
+  after(() => mock.close());
+  afterEach(() => socket && socket.close());
+  beforeEach(() => {
+    socket = null;
+    mock.reset();
+    mock.respond("v2/auth/w/order/submit", []);
+    mock.respond("v2/auth/w/order/update", []);
+    mock.respond("v2/auth/w/order/cancel/multi", []);
+  });
+
+  const submit = (helper, safety) =>
+    helper
+      .setContext(
+        "v2/auth/w/order/submit",
+        { type: "EXCHANGE MARKET", symbol: "tBTCUSD", amount: "0.1" },
+        { ...options, safety }
+      )
+      .sendPostRequest();
+
+  it("measures the daily loss as the realised P/L on the ledger", async () => {
+    const helper = new ApiHelper(null, true, null);
+    const safety = { maxDailyLoss: 100 };
+    mock.respond(/^v2\/auth\/r\/ledgers\/USD\/hist$/, [
+      ledgerEntry(
+        1,
+        -500,
+        "Transfer of 500.0 USD from wallet Exchange to Margin on wallet exchange"
+      ),
+      ledgerEntry(
+        2,
+        -4300,
+        "Exchange 0.1 BTC for USD @ 43000.0 on BFX (0.2%) on wallet exchange"
+      ),
+      ledgerEntry(
+        3,
+        -2,
+        "Trading fees for 0.1 BTC (BTCUSD) @ 43000.0 on BFX (0.2%) on wallet exchange"
+      ),
+      ledgerEntry(4, -50, "Position closed @ 42500.0 (TRADE) on wallet margin"),
+    ]);
+    await submit(helper, safety);
+
+    mock.respond(/^v2\/auth\/r\/ledgers\/USD\/hist$/, [
+      ledgerEntry(5, -50, "Position #6 closed @ 42000.0 on wallet margin"),
+    ]);
+    await assert.rejects(
+      async () => submit(helper, safety),
+      /daily loss of 102 USD reached the maximum of 100 USD/
+    );
+  });
+
+  it("rejects breaches and blocked requests with a safety ApiError", async () => {
+    const helper = new ApiHelper(null, true, null);
+    const safety = { maxOrderSize: 0.05 };
+    const safetyError = (pattern) => (error) =>
+      error instanceof ApiError &&
+      error.type === "safety" &&
+      pattern.test(error.message);
+
+    await assert.rejects(
+      async () => submit(helper, safety),
+      safetyError(/amount 0.1 exceeds the maximum order size 0.05/)
+    );
+
+    socket = await helper.openManagedSocket({
+      ...options,
+      heartbeatTimeout: 0,
+      safety,
+    });
+    const command = await socket
+      .submitOrder({ type: "EXCHANGE MARKET", symbol: "tBTCUSD", amount: "1" })
+      .catch((e) => e);
+    assert.ok(safetyError(/amount 1 exceeds/)(command));
+    assert.deepStrictEqual(
+      [command.status, command.text],
+      ["ERROR", command.message]
+    );
+
+    const context = await helper.setContext("v2/platform/status", {}, options);
+    await context.killSwitch("test");
+    await assert.rejects(
+      async () => submit(helper, {}),
+      safetyError(/Kill switch engaged \(test\)/)
+    );
+    await assert.rejects(
+      async () =>
+        helper
+          .setContext("v2/auth/w/position/claim", { id: 1 }, options)
+          .sendPostRequest(),
+      safetyError(/Kill switch engaged/)
+    );
+  });
+
+  it("checks updates with a delta against the amount of the open order", async () => {
+    mock.respond("v2/auth/r/orders", [
+      MockServer.order({ id: 5, symbol: "tBTCUSD", amount: 1 }),
+    ]);
+    await assert.rejects(
+      async () =>
+        new ApiHelper(null, true, null)
+          .setContext(
+            "v2/auth/w/order/update",
+            { id: 5, delta: "2" },
+            {
+              ...options,
+              safety: { maxOrderSize: 2 },
+            }
+          )
+          .sendPostRequest(),
+      /amount 3 exceeds the maximum order size 2 for tBTCUSD/
+    );
+  });
+
+  it("answers orders breaching a limit on a raw socket without sending them", async () => {
+    const sent = [];
+    mock.on("message", (message) => sent.push(message));
+    socket = await new ApiHelper(null, true, null).openSocket({
+      ...options,
+      safety: { maxOrderSize: 1 },
+    });
+
+    const rejected = nextNotification(socket);
+    const send = (cid, amount) =>
+      socket.send(
+        JSON.stringify([0, "on", null, { cid, symbol: "tBTCUSD", amount }])
+      );
+    send(1, "5");
+    send(2, "0.5");
+    const [, type, , , info, , status, text] = await rejected;
+    assert.deepStrictEqual([type, info[2], status], ["on-req", 1, "ERROR"]);
+    assert.match(text, /exceeds the maximum order size 1/);
+
+    const accepted = await nextNotification(socket);
+    assert.deepStrictEqual([accepted[4][2], accepted[6]], [2, "SUCCESS"]);
+    assert.deepStrictEqual(
+      sent.filter((message) => message[1] === "on").map((m) => m[3].cid),
+      [2]
+    );
+  });
+
+  it("cancels orders on raw sockets and blocks them once killed", async () => {
+    const helper = new ApiHelper(null, true, null);
+    socket = await helper.openSocket(options);
+
+    const context = await helper.setContext("v2/platform/status", {}, options);
+    const result = await context.killSwitch("test");
+    assert.deepStrictEqual(result, {
+      reason: "test",
+      rest: { status: "SUCCESS" },
+      sockets: [{ status: "SUCCESS" }],
+    });
+
+    const rejected = nextNotification(socket);
+    socket.send(JSON.stringify([0, "on", null, { cid: 1, amount: "1" }]));
+    const [, , , , , , status, text] = await rejected;
+    assert.strictEqual(status, "ERROR");
+    assert.match(text, /Kill switch engaged \(test\)/);
+  });
+});
@@ -0,0 +1,81 @@
+const assert = require("node:assert"); // Assertions
+const { once } = require("node:events"); // Await metadata events
+const { describe, it, before, after, beforeEach } = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+// v2/conf response: exchange pairs, margin pairs, currencies, pair info (min / max order size)
+const conf = [
+  ["BTCUSD"],
+  [],
+  ["BTC", "USD"],
+  [["BTCUSD", [null, null, null, "0.0001", "1000"]]],
+  [],
+];
+
+describe("SymbolMetadata", () => {
+  const mock = new MockServer();
+  let options;
+
+  before(() =>
+    mock.listen().then(() => {
+      options = {
+        ...mock.getOptions(),
+        rateLimit: false,
+        maxRetries: 0,
+        validateOrders: true,
+      };
+    })
+  );
+  after(() => mock.close());
+  beforeEach(() => {
+    mock.reset();
+    mock.respond(/^v2\/conf\//, conf);
+  });
+
+  it("rejects invalid orders with a validation error listing the problems", async () => {
+    await assert.rejects(
+      async () =>
+        new ApiHelper(null, true, null)
+          .setContext(
+            "v2/auth/w/order/submit",
+            {
+              type: "EXCHANGE LIMIT",
+              symbol: "tBTCUSD",
+              amount: "0.00001",
+              price: "100",
+            },
+            options
+          )
+          .sendPostRequest(),
+      {
+        name: "ApiError",
+        type: "validation",
+        errors: [
+          "Amount 0.00001 is below the minimum order size 0.0001 for tBTCUSD.",
+        ],
+      }
+    );
+    assert.ok(mock.requests.every((r) => r.path.startsWith("v2/conf/")));
+  });
+
+  it("emits stale when a refresh fails and the cached data is used", async () => {
+    const context = await new ApiHelper(null, true, null).setContext(
+      "v2/platform/status",
+      {},
+      {
+        ...options,
+        metadataMaxAge: 1,
+      }
+    );
+    const metadata = await context.getMetadata();
+    mock.respondWithError(/^v2\/conf\//, 10020, "request: error");
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    const stale = once(metadata, "stale");
+    await context.getMetadata();
+    const [error, fetchedAt] = await stale;
+    assert.strictEqual(error.type, "api");
+    assert.strictEqual(fetchedAt, metadata.fetchedAt);
+  });
+});
@@ -0,0 +1,151 @@
+const assert = require("node:assert"); // Assertions
+const { describe, it, before, after, beforeEach } = require("node:test"); // Test runner
+const cli = require("../src/cli"); // The command-line tool under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+const wallets = [
+  ["exchange", "USD", 10.5, 0, null],
+  ["margin", "BTC", 1, 0, null],
+];
+
+describe("cli", () => {
+  describe("parseCommand", () => {
+    it("parses the path, body & flags", () => {
+      assert.deepStrictEqual(
+        cli.parseCommand([
+          "v2/auth/w/order/update",
+          '{"id": 1, "amount": "2"}',
+          "-o",
+          "table",
+          "-p",
+          "trading",
+          "--get",
+          "--auth",
+          "-t",
+          "-O",
+          '{"timeout": 5000}',
+        ]),
+        {
+          path: "v2/auth/w/order/update",
+          body: { id: 1, amount: "2" },
+          options: { timeout: 5000, profile: "trading", typedResponses: true },
+          profile: "trading",
+          credentials: "credentials.json",
+          defaults: "defaults.json",
+          output: "table",
+          verbose: false,
+          help: false,
+          isPost: false,
+          authenticated: true,
+        }
+      );
+    });
+
+    it("defaults to a JSON output, with the method & authentication chosen by path", () => {
+      const args = cli.parseCommand([
+        "v2/tickers",
+        "--body",
+        '{"symbols": "ALL"}',
+        "-c",
+        "keys.json",
+        "-v",
+      ]);
+      assert.deepStrictEqual(
+        [args.body, args.output, args.credentials, args.options],
+        [{ symbols: "ALL" }, "json", "keys.json", { verboseOutput: true }]
+      );
+      assert.deepStrictEqual([args.isPost, args.authenticated], [null, null]);
+    });
+
+    it("throws a message describing invalid arguments", () => {
+      [
+        [["v2/tickers", "-o", "xml"], /Unknown output format "xml"/],
+        [["v2/tickers", "--get", "--post"], /either --get or --post/],
+        [["v2/tickers", "--public", "--auth"], /either --public or --auth/],
+        [["v2/tickers", "{}", "extra"], /Unexpected argument: extra/],
+        [["v2/tickers", "{id: 1}"], /Invalid body JSON/],
+        [["v2/tickers", "-O", "[", "-o", "csv"], /Invalid options JSON/],
+        [["v2/tickers", "--unknown"], /Unknown option '--unknown'/],
+      ].forEach(([argv, message]) =>
+        assert.throws(() => cli.parseCommand(argv), message)
+      );
+    });
+  });
+
+  describe("REST mode", () => {
+    const mock = new MockServer();
+    let options;
+
+    before(() =>
+      mock.listen().then(() => {
+        options = JSON.stringify({
+          ...mock.getOptions(),
+          rateLimit: false,
+          maxRetries: 0,
+        });
+      })
+    );
+    after(() => mock.close());
+    beforeEach(() => {
+      mock.reset();
+      mock.respond("v2/auth/r/wallets", wallets);
+    });
+
+    // Runs the tool, resolves with the exit code and the lines printed
+    async function run(t, argv) {
+      const log = t.mock.method(console, "log", () => {});
+      const error = t.mock.method(console, "error", () => {});
+      const code = await cli.run([...argv, "-O", options]);
+      const printed = (fn) =>
+        fn.mock.calls.map((call) => call.arguments.join(" ")).join("\n");
+      return { code, output: printed(log), errors: printed(error) };
+    }
+
+    it("prints the response as JSON", async (t) => {
+      const { code, output } = await run(t, ["v2/auth/r/wallets"]);
+      assert.strictEqual(code, 0);
+      assert.deepStrictEqual(JSON.parse(output), wallets);
+      assert.deepStrictEqual(
+        [mock.requests[0].method, mock.requests[0].authenticated],
+        ["POST", true]
+      );
+    });
+
+    it("prints the response as CSV", async (t) => {
+      const { output } = await run(t, ["v2/auth/r/wallets", "-o", "csv"]);
+      assert.strictEqual(output, "exchange,USD,10.5,0,\nmargin,BTC,1,0,");
+    });
+
+    it("prints the response as a table, with columns for typed responses", async (t) => {
+      const { output } = await run(t, ["v2/auth/r/wallets", "-o", "table"]);
+      assert.strictEqual(
+        output,
+        ["exchange  USD  10.5  0", "margin    BTC  1     0"].join("\n")
+      );
+
+      const typed = await run(t, ["v2/auth/r/wallets", "-o", "table", "-t"]);
+      const [columns, first] = typed.output.split("\n");
+      assert.match(columns, /^type\s+currency\s+balance/);
+      assert.match(first, /^exchange\s+USD\s+10\.5/);
+    });
+
+    it("sends public paths as unauthenticated GET requests", async (t) => {
+      mock.respond("v2/ticker/tBTCUSD", [1, 2, 3]);
+      const { output } = await run(t, ["/v2/ticker/tBTCUSD", "-o", "csv"]);
+      assert.strictEqual(output, "1,2,3");
+      assert.deepStrictEqual(
+        [mock.requests[0].method, mock.requests[0].authenticated],
+        ["GET", false]
+      );
+    });
+
+    it("prints the error and exits with 1 when the request fails", async (t) => {
+      mock.respondWithError("v2/auth/r/wallets", 10100, "apikey: invalid");
+      const { code, output, errors } = await run(t, ["v2/auth/r/wallets"]);
+      assert.deepStrictEqual(
+        [code, output, errors],
+        [1, "", "Error (api 10100): apikey: invalid"]
+      );
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const assert = require("node:assert"); // Assertions
+const { describe, it, before, after, beforeEach } = require("node:test"); // Test runner
+const ApiHelper = require("../src/ApiHelper"); // The client under test
+const MockServer = require("../src/MockServer"); // In-process fake of the REST & WebSocket APIs
+
+describe("Named endpoints", () => {
+  const mock = new MockServer();
+  const helper = new ApiHelper(null, true, null);
+  let options;
+
+  before(() =>
+    mock.listen().then(() => {
+      options = { ...mock.getOptions(), rateLimit: false };
+    })
+  );
+  after(() => mock.close());
+  beforeEach(() => {
+    mock.reset();
+    mock.respond("v2/auth/r/wallets", []);
+    mock.respond("v2/ticker/tBTCUSD", [1]);
+    mock.respond("v2/auth/w/order/update", []);
+  });
+
+  it("send requests with the options of the context they are called on", async () => {
+    const context = await helper.setContext("v2/platform/status", {}, options);
+    await context.wallets.list();
+    await context.public.ticker("tBTCUSD");
+
+    assert.deepStrictEqual(
+      mock.requests.map((request) => [request.method, request.path]),
+      [
+        ["POST", "v2/auth/r/wallets"],
+        ["GET", "v2/ticker/tBTCUSD"],
+      ]
+    );
+    assert.strictEqual(mock.requests[0].authenticated, true);
+  });
+
+  it("can be chained after setContext", async () => {
+    const context = await helper
+      .setContext("v2/platform/status", {}, options)
+      .orders.update({ id: 1, amount: "2" });
+
+    assert.deepStrictEqual(mock.requests[0].body, { id: 1, amount: "2" });
+    assert.strictEqual(context.path, "v2/auth/w/order/update");
+  });
+
+  it("can be called and chained on an instance", async () => {
+    let ticker;
+    const context = await helper.public
+      .ticker("tBTCUSD", {}, options)
+      .actOnResponse((response) => (ticker = response));
+    assert.deepStrictEqual(ticker, [1]);
+    assert.strictEqual(context.path, "v2/ticker/tBTCUSD");
+
+    const updated = await new Promise((resolve, reject) =>
+      helper.orders
+        .update({ id: 1, amount: "2" }, options)
+        .then(resolve, reject)
+    );
+    assert.deepStrictEqual(updated.response, []);
+  });
+
+  it("reject invalid input without sending a request", async () => {
+    await assert.rejects(
+      async () => helper.orders.update({ amount: "2" }),
+      /missing required field\(s\) id/
+    );
+    assert.strictEqual(mock.requests.length, 0);
+  });
+});
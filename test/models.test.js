@@ -0,0 +1,46 @@
+const assert = require("node:assert"); // Assertions
+const { describe, it } = require("node:test"); // Test runner
+const models = require("../src/models"); // Typed response models
+
+describe("models", () => {
+  it("maps order arrays to named fields, skipping placeholders", () => {
+    const row = new Array(32).fill(null);
+    Object.assign(row, { 0: 1, 2: 7, 3: "tBTCUSD", 6: 0.5, 16: 100, 31: {} });
+    const order = models.toModel("order", row);
+
+    assert.strictEqual(order.id, 1);
+    assert.strictEqual(order.cid, 7);
+    assert.strictEqual(order.symbol, "tBTCUSD");
+    assert.strictEqual(order.amount, 0.5);
+    assert.strictEqual(order.price, 100);
+    assert.deepStrictEqual(order.meta, {});
+    assert.strictEqual(Object.keys(order).includes("null"), false);
+  });
+
+  it("converts authenticated channel messages by type", () => {
+    const [wallet] = models.fromAccountMessage("ws", [
+      ["exchange", "USD", 100, 0, 90, null, null],
+    ]);
+    assert.deepStrictEqual(
+      [wallet.type, wallet.currency, wallet.balance, wallet.available],
+      ["exchange", "USD", 100, 90]
+    );
+
+    const trade = models.fromAccountMessage("te", [
+      5,
+      "tBTCUSD",
+      1,
+      2,
+      0.1,
+      100,
+      "LIMIT",
+      100,
+      1,
+      -0.01,
+      "USD",
+      7,
+    ]);
+    assert.deepStrictEqual([trade.id, trade.fee, trade.cid], [5, -0.01, 7]);
+    assert.deepStrictEqual(models.fromAccountMessage("xx", [1]), [1]);
+  });
+});